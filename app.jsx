@@ -9,18 +9,42 @@ Quick setup (recommended):
 4) Replace src/App.jsx with this file, create src/main.jsx as Vite default, then run `npm run dev`.
 
 This app is a full-featured frontend that connects to the backend endpoints:
-- GET /api/products
+- GET /api/products (?q, sort, minPrice, maxPrice, free, category, tag, page, pageSize)
+- GET /api/categories
+- GET /api/currencies ({ rates: { EUR: 0.92, ... } } relative to USD), PUT /api/admin/currencies (admin)
 - GET /api/products/:id
+- GET/POST /api/products/:id/reviews, GET/POST /api/products/:id/questions, POST /api/questions/:id/answers (posting is protected)
+- GET /api/admin/reviews (?status=pending|approved|hidden), PUT /api/admin/reviews/:id, POST /api/admin/reviews/:id/reply (admin)
 - POST /api/auth/login
 - POST /api/auth/register
-- POST /api/checkout (protected)
-- /api/admin/... endpoints for admin (protected)
+- POST /api/auth/refresh
+- POST /api/auth/forgot-password, POST /api/auth/reset-password, POST /api/auth/verify-email, POST /api/auth/resend-verification (protected)
+- GET/DELETE /api/me, PUT /api/me/email, PUT /api/me/password (protected; `user.emailVerified` is false until the emailed link is opened)
+- GET/DELETE /api/dev/outbox (dev backend or mock-server.mjs only: mail that would have been sent, shown at /dev/outbox)
+- GET/PUT /api/cart (protected; both carry { items: [{ productId, qty, amount, amountCurrency }] }, amount only on
+  pay-what-you-want lines. Titles and prices are not stored: the app reloads them from /api/products/:id)
+- POST /api/coupons/validate
+- POST /api/checkout (protected; pay-what-you-want lines carry amount + amountCurrency, checked against the minimum again)
+- GET /api/orders/:id, POST /api/orders/:id/pay, POST /api/orders/:id/cancel (protected; order.status is pending | paid | failed | cancelled)
+- GET /api/library, POST /api/library/:productId/download (protected)
+- GET /api/licenses (own; admins pass ?all=1&q=), PUT /api/licenses/:id, POST /api/licenses/:id/revoke|reissue,
+  DELETE /api/licenses/:id/activations/:activationId (protected)
+- GET/POST /api/admin/coupons, PUT/DELETE /api/admin/coupons/:id (admin)
+- GET /api/admin/stats, GET /api/admin/orders (admin, ?from&to)
+- GET/POST /api/admin/products, PUT/DELETE /api/admin/products/:id (admin; bundles are products with type 'bundle' and bundleItemIds)
+- bundles in the catalog (GET /api/products, /api/products/:id) also carry the expanded
+  bundleItems: [{ id, title, price, prices, pricing, coverImageUrl }]
+- POST /api/admin/products/:id/versions (multipart file + version + notes), POST /api/admin/products/:id/media, DELETE /api/admin/products/:id/media/:mediaId,
+  POST/DELETE /api/admin/products/:id/preview (admin)
+
+For local testing, `node mock-server.mjs` serves the auth endpoints with a mail outbox, the license endpoints and a mock
+payment provider (setup in the comment at its top).
 
 NOTE: This is a single-file example for speed. For production split into components, add CSS pipeline (Tailwind), and secure keys.
 */
 
-import React, { useEffect, useState, createContext, useContext } from 'react';
-import { BrowserRouter as Router, Routes, Route, Link, useNavigate, useParams } from 'react-router-dom';
+import React, { useEffect, useState, useRef, createContext, useContext } from 'react';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate, useNavigate, useParams, useLocation, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 
 /* ----------------- Simple CSS (scoped via module-like approach) ----------------- */
@@ -30,7 +54,7 @@ const styles = `
 body{font-family:Inter,ui-sans-serif,system-ui,Segoe UI,Roboto,Helvetica,Arial; margin:0; background:#f7f7fb; color:#111}
 .header{display:flex;align-items:center;justify-content:space-between;padding:12px 20px;background:#fff;border-bottom:1px solid #e6e6ee}
 .logo{font-weight:700;color:var(--accent)}
-.nav a{margin-right:12px;text-decoration:none;color:#374151}
+.nav a{margin-inline-end:12px;text-decoration:none;color:#374151}
 .container{max-width:1100px;margin:24px auto;padding:0 16px}
 .grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(240px,1fr));gap:16px}
 .card{background:#fff;border-radius:12px;padding:12px;border:1px solid #edf0f7}
@@ -40,76 +64,765 @@ body{font-family:Inter,ui-sans-serif,system-ui,Segoe UI,Roboto,Helvetica,Arial;
 .input{padding:8px;border-radius:8px;border:1px solid #e6e6ee;width:100%}
 .row{display:flex;gap:8px;align-items:center}
 .badge{display:inline-block;padding:4px 8px;border-radius:999px;background:#f3f4f6;font-size:13px}
+.field-error{color:#b91c1c;font-size:13px;margin:2px 0 6px}
+.progress{height:6px;background:#ece7ff;border-radius:999px;overflow:hidden;margin:6px 0}
+.progress>div{height:100%;background:var(--accent);transition:width .2s}
+.dropzone{border:2px dashed #e6e6ee;border-radius:8px;padding:12px;text-align:center;color:var(--muted);cursor:pointer;font-size:14px}
+.dropzone.active{border-color:var(--accent);background:#faf5ff}
+.notice{background:#fff7ed;color:#9a3412;border-bottom:1px solid #fed7aa;padding:8px 20px;display:flex;justify-content:space-between;align-items:center}
+.table{width:100%;border-collapse:collapse;font-size:14px}
+.table th,.table td{text-align:start;padding:6px 8px;border-bottom:1px solid #edf0f7}
+.skeleton{background:linear-gradient(90deg,#f0f0f5 25%,#e6e6ee 50%,#f0f0f5 75%);background-size:200% 100%;animation:shimmer 1.2s infinite;border-radius:8px}
+@keyframes shimmer{from{background-position:200% 0}to{background-position:-200% 0}}
+.error-box{background:#fef2f2;border:1px solid #fecaca;color:#991b1b;border-radius:12px;padding:12px;display:flex;justify-content:space-between;align-items:center;gap:12px}
+.toasts{position:fixed;inset-inline-end:16px;bottom:16px;display:flex;flex-direction:column;gap:8px;z-index:50;max-width:380px}
+.toast{display:flex;align-items:center;gap:8px;background:#fff;border:1px solid #e6e6ee;border-inline-start:4px solid var(--accent);border-radius:8px;padding:10px 12px;box-shadow:0 4px 16px rgba(0,0,0,.08)}
+.toast>span{flex:1}
+.toast.success{border-inline-start-color:#16a34a}
+.toast.error{border-inline-start-color:#dc2626}
+.toast-close{background:none;border:none;cursor:pointer;color:var(--muted)}
 .footer{padding:24px;text-align:center;color:var(--muted);font-size:14px}
 `;
 
+/* ----------------- API client ----------------- */
+// every request goes through `api`: it attaches the current token and, on a 401, refreshes the session once and replays the request.
+// AuthProvider keeps `session` up to date and registers the refresh/expiry callbacks.
+const session = { token: localStorage.getItem('token'), onRefreshed: null, onExpired: null };
+const api = axios.create();
+api.interceptors.request.use(config => { if (session.token) config.headers.Authorization = 'Bearer ' + session.token; return config; });
+
+let refreshing = null;
+function refreshSession() {
+    // concurrent 401s share one refresh call
+    if (!refreshing) {
+        refreshing = axios.post('/api/auth/refresh', { refreshToken: localStorage.getItem('refreshToken') })
+            .then(r => { if (!r.data?.token) throw new Error('Refresh failed'); session.onRefreshed?.(r.data); return r.data.token; })
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+}
+api.interceptors.response.use(null, async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config._retried || !session.token || config.url.startsWith('/api/auth/')) throw error;
+    config._retried = true;
+    let token;
+    try { token = await refreshSession(); } catch (e) { session.onExpired?.(); throw error; }
+    config.headers.Authorization = 'Bearer ' + token;
+    return api(config);
+});
+
+/* ----------------- Notifications ----------------- */
+// app-wide toasts: queued (a few visible at once), optionally with one action button ("Undo", "Retry"),
+// announced through an ARIA live region
+const NotificationContext = createContext();
+function useNotify() { return useContext(NotificationContext); }
+const MAX_VISIBLE_TOASTS = 3;
+let nextToastId = 1;
+
+function Toast({ toast, onDismiss, closeLabel }) {
+    // the timer starts when the toast becomes visible, not when it was queued. Running out or closing it without
+    // taking the action calls `onExpire`, so work delayed behind an "Undo" follows the same clock as the button
+    const done = useRef(false);
+    const finish = (acted) => {
+        if (done.current) return;
+        done.current = true;
+        if (acted) toast.action.onClick(); else toast.onExpire?.();
+        onDismiss();
+    };
+    useEffect(() => { if (!toast.timeout) return; const t = setTimeout(() => finish(false), toast.timeout); return () => clearTimeout(t); }, []);
+    return (
+        <div className={'toast ' + toast.type} role={toast.type === 'error' ? 'alert' : 'status'}>
+            <span>{toast.message}</span>
+            {toast.action && <button className="button ghost" onClick={() => finish(true)}>{toast.action.label}</button>}
+            <button className="toast-close" aria-label={closeLabel} onClick={() => finish(false)}>✕</button>
+        </div>
+    );
+}
+
+function NotificationProvider({ children }) {
+    const i18n = useI18n();
+    const [toasts, setToasts] = useState([]);
+    const dismiss = (id) => setToasts(prev => prev.filter(t => t.id !== id));
+    const notify = ({ type = 'info', message, action, onExpire, timeout }) => {
+        const id = nextToastId++;
+        setToasts(prev => [...prev, { id, type, message, action, onExpire, timeout: timeout ?? (type === 'error' || action ? 8000 : 4000) }]);
+        return id;
+    };
+    const value = {
+        notify, dismiss,
+        success: (message, opts) => notify({ ...opts, type: 'success', message }),
+        error: (message, opts) => notify({ ...opts, type: 'error', message }),
+        info: (message, opts) => notify({ ...opts, type: 'info', message })
+    };
+    return (
+        <NotificationContext.Provider value={value}>
+            {children}
+            <div className="toasts" aria-live="polite">
+                {toasts.slice(0, MAX_VISIBLE_TOASTS).map(t => <Toast key={t.id} toast={t} closeLabel={i18n.t('common.closeToast')} onDismiss={() => dismiss(t.id)} />)}
+            </div>
+        </NotificationContext.Provider>
+    );
+}
+
+/* ----------------- Query cache ----------------- */
+// tiny stale-while-revalidate cache shared by every page: one entry per key, one request in flight per key,
+// cached data is shown immediately and refreshed in the background once it is older than `staleTime`.
+// The request is aborted when the last component using the key unmounts (or switches to another key).
+const queryCache = new Map(); // key -> { data, error, updatedAt, promise, controller, fetcher, listeners }
+
+function cacheEntry(key) {
+    if (!queryCache.has(key)) queryCache.set(key, { data: undefined, error: null, updatedAt: 0, promise: null, controller: null, fetcher: null, listeners: new Set() });
+    return queryCache.get(key);
+}
+function notify(entry) { entry.listeners.forEach(fn => fn()); }
+
+function fetchQuery(key) {
+    const entry = cacheEntry(key);
+    if (entry.promise || !entry.fetcher) return entry.promise;
+    const controller = new AbortController();
+    // a cancelled request was already detached by cancelQuery and must not touch the entry (a newer one may be running)
+    const promise = entry.fetcher(controller.signal)
+        .then(data => { if (!controller.signal.aborted) { entry.data = data; entry.error = null; entry.updatedAt = Date.now(); } })
+        .catch(e => { if (!controller.signal.aborted && !axios.isCancel(e)) entry.error = e; })
+        .finally(() => { if (entry.promise === promise) { entry.promise = null; entry.controller = null; notify(entry); } });
+    entry.controller = controller;
+    entry.promise = promise;
+    notify(entry);
+    return promise;
+}
+// abort the request in flight and forget it right away, so a remount in the same tick (StrictMode, quick
+// back/forward) starts a fresh request instead of waiting on the aborted one
+function cancelQuery(entry) {
+    if (!entry.controller) return;
+    entry.controller.abort();
+    entry.promise = null;
+    entry.controller = null;
+}
+
+// mark one key stale and refetch it if it is currently on screen
+function invalidateQuery(key) {
+    const entry = queryCache.get(key);
+    if (!entry) return;
+    entry.updatedAt = 0;
+    if (entry.listeners.size) fetchQuery(key);
+}
+// the same for every key starting with `prefix`; end an id prefix with its delimiter ('reviews:1:') so it doesn't match 10, 11...
+function invalidateQueries(prefix) {
+    queryCache.forEach((entry, key) => { if (key.startsWith(prefix)) invalidateQuery(key); });
+}
+// anything the admin changes about products shows up in the catalog, product pages and admin lists
+function invalidateCatalog() { invalidateQueries('product'); invalidateQueries('admin:products'); }
+
+function useQuery(key, fetcher, { staleTime = 30000 } = {}) {
+    const [, rerender] = useState(0);
+    const fetcherRef = useRef(fetcher);
+    fetcherRef.current = fetcher;
+
+    useEffect(() => {
+        const entry = cacheEntry(key);
+        const listener = () => rerender(n => n + 1);
+        entry.listeners.add(listener);
+        entry.fetcher = (signal) => fetcherRef.current(signal);
+        const revalidate = () => { if (entry.error || Date.now() - entry.updatedAt > staleTime) fetchQuery(key); };
+        revalidate();
+        listener();
+        window.addEventListener('focus', revalidate);
+        return () => {
+            window.removeEventListener('focus', revalidate);
+            entry.listeners.delete(listener);
+            if (!entry.listeners.size) cancelQuery(entry);
+        };
+    }, [key]);
+
+    const entry = queryCache.get(key);
+    return {
+        data: entry?.data,
+        error: entry?.data === undefined ? entry?.error : null,
+        loading: entry?.data === undefined && !entry?.error,
+        fetching: !!entry?.promise,
+        refetch: () => { const e = cacheEntry(key); e.error = null; notify(e); return fetchQuery(key); }
+    };
+}
+
+/* ----------------- Localization ----------------- */
+// product prices, coupon amounts and admin figures are stored in cents of BASE_CURRENCY; other currencies
+// come from a product's own `prices: { EUR: 899 }` or from the admin-configured exchange rates (/api/currencies).
+// Pay-what-you-want cart lines keep the `amount` the buyer typed in `amountCurrency`
+const BASE_CURRENCY = 'USD';
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'PKR', 'AED'];
+const LOCALES = { en: { name: 'English', dir: 'ltr' }, ar: { name: 'العربية', dir: 'rtl' } };
+
+const messages = {
+    en: {
+        'nav.home': 'Home', 'nav.products': 'Products', 'nav.library': 'My Library', 'nav.admin': 'Admin', 'nav.cart': 'Cart', 'nav.cartCount': 'Cart ({count})',
+        'nav.login': 'Login', 'nav.logout': 'Logout', 'nav.language': 'Language', 'nav.currency': 'Currency',
+        'common.loading': 'Loading...', 'common.retry': 'Retry', 'common.dismiss': 'Dismiss', 'common.remove': 'Remove', 'common.download': 'Download',
+        'common.cancel': 'Cancel', 'common.coverAlt': 'Cover image', 'common.closeToast': 'Dismiss notification', 'common.notFound': 'Not found.', 'common.forbidden': "You don't have access to this page.",
+        'error.generic': 'Something went wrong loading this.', 'error.request': 'Request failed ({status})', 'error.network': 'Network error — check your connection.',
+        'session.expired': 'Your session has expired. Please log in again.',
+        'price.free': 'Free', 'price.from': 'From {amount}', 'price.anyAmount': 'Name your price',
+        'pwyw.label': 'Name your price ({currency})', 'pwyw.min': 'Minimum {min}', 'pwyw.noMin': 'Any amount, including nothing',
+        'pwyw.invalid': 'Enter an amount like 5 or 4.99', 'pwyw.tooLow': 'The minimum is {min}',
+        'bundle.badge': 'Bundle · {count} products', 'bundle.save': 'Save {percent}%', 'bundle.contents': 'Included in this bundle',
+        'bundle.grants': 'Buying the bundle adds every product below to your library.', 'bundle.inLibrary': 'Owned — open library', 'bundle.fromBundle': 'Included in {title}',
+        'cart.inBundle': 'Already included in "{title}" in your cart', 'cart.bundleReplaces': '"{title}" includes {items}, so they were taken out of your cart',
+        'home.heroTitle': 'Sell digital products — fast', 'home.heroText': 'Instant downloads, license control, and secure delivery.',
+        'home.featured': 'Featured', 'home.loadError': 'Could not load featured products.',
+        'card.owned': 'Owned — Download', 'card.inCart': 'In cart', 'card.addToCart': 'Add to cart', 'card.view': 'View',
+        'products.title': 'All Products', 'products.search': 'Search products...', 'products.allCategories': 'All categories',
+        'products.min': 'Min ({currency})', 'products.max': 'Max ({currency})', 'products.freeOnly': 'Free only', 'products.reset': 'Reset',
+        'products.result': '{count} result', 'products.results': '{count} results', 'products.loadError': 'Could not load products.',
+        'products.previous': 'Previous', 'products.next': 'Next', 'products.page': 'Page {page} of {pages}',
+        'sort.latest': 'Latest', 'sort.price_asc': 'Price: low to high', 'sort.price_desc': 'Price: high to low', 'sort.popular': 'Most popular', 'sort.rating': 'Top rated',
+        'detail.buy': 'Buy & Download', 'detail.notFound': 'Product not found.', 'detail.loadError': 'Could not load this product.',
+        'review.title': 'Reviews', 'review.none': 'No reviews yet.', 'review.average': '{rating} out of 5 · {count} reviews', 'review.loadError': 'Could not load reviews.',
+        'review.stars': 'Rated {rating} out of 5', 'review.starsN': '{count} stars', 'review.rating': 'Your rating', 'review.verified': 'Verified purchase',
+        'review.loginPrompt': 'Bought this product? Log in to review it.', 'review.buyersOnly': 'Only buyers of this product can review it.',
+        'review.placeholder': 'What did you think of it?', 'review.submit': 'Submit review', 'review.edit': 'Edit review', 'review.yours': 'Your review',
+        'review.ratingRequired': 'Choose a rating', 'review.bodyRequired': 'Write a few words about the product',
+        'review.submitted': 'Thanks! Your review will appear once it has been approved.', 'review.failed': 'Could not save your review', 'review.reply': 'Reply from the store',
+        'review.status.pending': 'Awaiting approval', 'review.status.approved': 'Published', 'review.status.hidden': 'Hidden by the store',
+        'qa.title': 'Questions & answers', 'qa.none': 'No questions yet. Ask the first one!', 'qa.ask': 'Ask', 'qa.placeholder': 'Ask a question about this product...',
+        'qa.loginPrompt': 'Log in to ask or answer a question.', 'qa.answer': 'Answer', 'qa.answerPlaceholder': 'Write an answer...', 'qa.post': 'Post',
+        'qa.seller': 'Seller', 'qa.asked': '{author} asked on {date}', 'qa.empty': 'Write something first', 'qa.failed': 'Could not post that', 'qa.loadError': 'Could not load questions.',
+        'gallery.show': 'Show media {n}', 'preview.title': 'Free preview', 'preview.close': 'Close preview', 'preview.newTab': 'Open in a new tab',
+        'preview.open.pdf': 'Read a free sample', 'preview.open.image': 'View a free preview', 'preview.open.audio': 'Listen to a free clip',
+        'preview.note.pdf': 'A few sample pages.', 'preview.note.image': 'Watermarked preview — the download is full resolution without the watermark.',
+        'preview.note.audio': 'A short clip — the download is the full track.',
+        'versions.title': 'Changelog', 'versions.current': 'v{version}', 'versions.updated': 'Version {version} · updated {date}',
+        'versions.updateAvailable': 'Update available: v{version}', 'versions.whatsNew': "What's new", 'versions.downloadLatest': 'Download v{version}',
+        'auth.forgot': 'Forgot your password?', 'auth.verifySent': 'Account created. We sent a verification link to {email}.',
+        'password.show': 'Show', 'password.hide': 'Hide', 'password.strength': 'Strength: {label}', 'password.weak': 'weak', 'password.fair': 'fair',
+        'password.good': 'good', 'password.strong': 'strong', 'password.tooShort': 'Use at least 8 characters', 'password.mix': 'Use both letters and numbers',
+        'password.mismatch': 'Passwords do not match',
+        'forgot.title': 'Reset your password', 'forgot.intro': "Enter your account's email and we'll send you a link to choose a new password.",
+        'forgot.submit': 'Send reset link', 'forgot.sent': 'If an account exists for {email}, a reset link is on its way. It expires in one hour.',
+        'reset.title': 'Choose a new password', 'reset.submit': 'Save new password', 'reset.done': 'Password changed. You can log in now.',
+        'reset.invalid': 'This reset link is invalid or has expired.', 'reset.again': 'Request a new link',
+        'outbox.title': 'Mail outbox (dev)', 'outbox.refresh': 'Refresh', 'outbox.clear': 'Clear', 'outbox.empty': 'No mail sent yet.', 'outbox.to': 'to {to} · {date}',
+        'outbox.loadError': 'Is the dev backend (or `node mock-server.mjs`) running with the mail outbox enabled?',
+        'verify.title': 'Email verification', 'verify.done': 'Your email address is verified.', 'verify.invalid': 'This verification link is invalid or has expired.',
+        'verify.requestNew': 'Use "Resend" in the banner above to get a new one.', 'verify.banner': 'Please verify {email} using the link we emailed you.',
+        'verify.resend': 'Resend', 'verify.resent': 'Sent — check your inbox.', 'verify.resendFailed': 'Could not resend the email',
+        'account.title': 'Account', 'account.backToLogin': 'Back to login', 'account.email': 'Email address', 'account.verified': 'Verified', 'account.unverified': 'Not verified',
+        'account.newEmail': 'New email address', 'account.sameEmail': 'That is already your email address', 'account.currentPassword': 'Current password',
+        'account.changeEmail': 'Change email', 'account.emailChanged': 'Email changed. Confirm {email} with the link we just sent.', 'account.emailFailed': 'Could not change your email',
+        'account.newPassword': 'New password', 'account.confirmPassword': 'Repeat new password', 'account.changePassword': 'Change password',
+        'account.passwordChanged': 'Password changed', 'account.passwordFailed': 'Could not change your password',
+        'account.delete': 'Delete account', 'account.deleteWarning': 'Your library, licenses and download links are removed for good. This cannot be undone.',
+        'account.deleteConfirm': 'Delete your account permanently?', 'account.deleted': 'Your account has been deleted.', 'account.deleteFailed': 'Could not delete your account',
+        'checkout.loginFirst': 'Please login first', 'checkout.failed': 'Checkout failed', 'checkout.error': 'Checkout error',
+        'checkout.title': 'Checkout', 'checkout.pay': 'Pay & Get Download', 'checkout.redirecting': 'Redirecting to payment...', 'checkout.backToCart': 'Back to Cart',
+        'cart.title': 'Cart', 'cart.empty': 'Your cart is empty.', 'cart.clear': 'Clear', 'cart.checkout': 'Checkout',
+        'coupon.applied': 'Code {code} applied', 'coupon.placeholder': 'Coupon code', 'coupon.apply': 'Apply', 'coupon.invalid': 'Invalid code', 'coupon.checkFailed': 'Could not check this code', 'coupon.dropped': 'Code {code} was removed: {reason}',
+        'summary.subtotal': 'Subtotal', 'summary.discount': 'Discount ({code})', 'summary.total': 'Total',
+        'payment.cancelled': 'Payment cancelled', 'payment.failed': 'Payment failed', 'payment.leftPage': 'You left the payment page before paying. Your cart is still here.',
+        'payment.retry': 'Retry payment', 'payment.redirecting': 'Redirecting...', 'payment.restartFailed': 'Could not restart the payment',
+        'order.notFound': 'Order not found.', 'order.waiting': 'Waiting for payment',
+        'order.confirming': "Order #{id} — we're confirming your payment with the provider. This page updates automatically.",
+        'order.stillProcessing': 'Order #{id} is still being processed. Check back in a few minutes:', 'order.openPayment': 'Open payment page again',
+        'order.notPaid': 'Order #{id} was not paid.', 'order.notPaidReason': 'Order #{id} was not paid: {reason}.', 'order.notCharged': 'You have not been charged.',
+        'order.thanks': 'Thank you for your order', 'order.ready': 'Order #{id} — your downloads are ready.', 'order.noFile': 'No file yet', 'order.continue': 'Continue shopping',
+        'library.empty': "You haven't bought anything yet.", 'library.loadError': 'Could not load your purchases.', 'library.browse': 'Browse products', 'library.purchased': 'Purchased {date}',
+        'library.licenses': 'Licenses & devices', 'library.orders': 'Orders', 'library.noOrders': 'No orders yet.', 'library.order': 'Order #{id}',
+        'library.downloadFailed': 'Download failed', 'library.downloadError': 'Download error',
+        'license.copy': 'Copy', 'license.copied': 'Copied', 'license.copyManually': 'Could not copy automatically. The key is selected: press Ctrl+C (⌘C) to copy it.', 'license.none': 'No licenses yet.', 'license.loadError': 'Could not load your licenses.', 'license.revoked': 'Revoked',
+        'license.used': '{used} of {max} activations used', 'license.since': 'since {date}', 'license.deactivate': 'Deactivate',
+        'license.confirmDeactivate': 'Deactivate {device}? The license can then be activated on another device.',
+        'license.deactivated': '{device} deactivated', 'license.deactivateFailed': 'Deactivation failed',
+        'auth.login': 'Login', 'auth.register': 'Register', 'auth.email': 'Email', 'auth.password': 'Password',
+        'auth.toRegister': 'Switch to Register', 'auth.toLogin': 'Switch to Login', 'auth.invalidEmail': 'Enter a valid email address', 'auth.passwordRequired': 'Enter your password',
+        'auth.welcome': 'Welcome back!', 'auth.loginFailed': 'Login failed', 'auth.registerFailed': 'Register failed',
+        'admin.tab.products': 'Products', 'admin.tab.analytics': 'Analytics', 'admin.tab.licenses': 'Licenses', 'admin.tab.coupons': 'Coupons', 'admin.tab.reviews': 'Reviews',
+        'admin.deleteFailed': 'Delete failed', 'admin.updateFailed': 'Update failed',
+        'admin.rates.title': 'Exchange rates', 'admin.rates.hint': '1 {base} = … Leave empty to hide a currency. Products with their own price in a currency use that instead.',
+        'admin.rates.invalid': 'Rates must be positive numbers', 'admin.rates.save': 'Save rates', 'admin.rates.saved': 'Exchange rates saved', 'admin.rates.saveFailed': 'Saving rates failed',
+        'admin.reviews.tab.pending': 'Pending', 'admin.reviews.tab.approved': 'Approved', 'admin.reviews.tab.hidden': 'Hidden',
+        'admin.reviews.none.pending': 'No pending reviews.', 'admin.reviews.none.approved': 'No approved reviews.', 'admin.reviews.none.hidden': 'No hidden reviews.', 'admin.reviews.loadError': 'Could not load reviews.',
+        'admin.reviews.unverified': '· not a verified buyer', 'admin.reviews.yourReply': 'Your reply: {body}', 'admin.reviews.replyPlaceholder': 'Reply publicly...', 'admin.reviews.send': 'Send',
+        'admin.reviews.approve': 'Approve', 'admin.reviews.hide': 'Hide', 'admin.reviews.reply': 'Reply', 'admin.reviews.editReply': 'Edit reply',
+        'admin.reviews.approved': 'Review approved', 'admin.reviews.hidden': 'Review hidden', 'admin.reviews.replyPosted': 'Reply posted', 'admin.reviews.replyFailed': 'Reply failed',
+        'admin.coupons.saved': 'Saved coupon {code}', 'admin.coupons.saveFailed': 'Saving coupon failed', 'admin.coupons.confirmDelete': 'Delete coupon {code}?', 'admin.coupons.deleted': 'Deleted coupon {code}',
+        'admin.licenses.confirmRevoke': 'Revoke {key}? All its activations stop working.', 'admin.licenses.confirmReissue': 'Reissue {key}? The old key stops working and activations are cleared.',
+        'admin.licenses.revokeFailed': 'Revoke failed', 'admin.licenses.reissueFailed': 'Reissue failed',
+        'admin.bundles.saved': 'Saved bundle "{title}"', 'admin.bundles.saveFailed': 'Saving bundle failed', 'admin.bundles.confirmDelete': 'Delete bundle "{title}"? Past buyers keep their products.', 'admin.bundles.deleted': 'Deleted bundle "{title}"',
+        'admin.save': 'Save', 'admin.create': 'Create', 'admin.saving': 'Saving...', 'admin.edit': 'Edit', 'admin.delete': 'Delete', 'admin.editing': 'Edit {name}', 'admin.undo': 'Undo',
+        'admin.published': 'Published', 'admin.draft': 'Draft', 'admin.publish': 'Publish', 'admin.unpublish': 'Unpublish', 'admin.coverUrl': 'Cover Image URL',
+        'admin.coverInvalid': 'Cover image must be an http(s) URL',
+        'admin.col.product': 'Product', 'admin.col.units': 'Units', 'admin.col.order': 'Order', 'admin.col.date': 'Date', 'admin.col.customer': 'Customer', 'admin.col.items': 'Items',
+        'admin.col.total': 'Total', 'admin.col.status': 'Status', 'admin.col.key': 'Key', 'admin.col.owner': 'Owner', 'admin.col.activations': 'Activations', 'admin.col.code': 'Code',
+        'admin.col.discount': 'Discount', 'admin.col.appliesTo': 'Applies to', 'admin.col.used': 'Used', 'admin.col.expires': 'Expires', 'admin.col.bundle': 'Bundle',
+        'admin.col.price': 'Price', 'admin.col.separately': 'Separately',
+        'admin.product.title': 'Title', 'admin.product.description': 'Description', 'admin.product.fixed': 'Fixed price', 'admin.product.pwyw': 'Pay what you want',
+        'admin.product.minPrice': 'Minimum price (in cents, 0 = anything goes)', 'admin.product.price': 'Price (in cents, e.g. 799 = $7.99)', 'admin.product.shownAs': 'Shown as {price}',
+        'admin.product.suggested': 'Suggested price (in cents, optional)', 'admin.product.titleRequired': 'Title is required',
+        'admin.product.titleLong': 'Title must be 120 characters or less', 'admin.product.priceInvalid': 'Price must be a whole number of cents (e.g. 799 = $7.99)',
+        'admin.product.suggestedInvalid': 'Suggested price must be a whole number of cents', 'admin.product.suggestedLow': 'Suggested price cannot be below the minimum',
+        'admin.product.create': 'Create Product', 'admin.product.yours': 'Your Products', 'admin.product.loadError': 'Could not load your products.',
+        'admin.product.created': 'Created "{title}"', 'admin.product.createFailed': 'Create failed', 'admin.product.saved': 'Saved "{title}"', 'admin.product.deleted': 'Deleted "{title}"',
+        'admin.product.noFile': 'No file attached', 'admin.product.galleryCount': '{count} gallery items', 'admin.product.hasPreview': 'preview', 'admin.product.files': 'Files & media',
+        'admin.product.closeFiles': 'Close files', 'admin.tips.title': 'Admin Tips', 'admin.tips.login': 'Default admin (change in backend .env): admin@example.com / admin123',
+        'admin.tips.versions': 'Each file uploaded under "Files & media" is released as a new version; past buyers see the update in their library. New products start as drafts until published.',
+        'upload.drop': 'Drop a file here or click to choose', 'upload.failed': 'Upload of {name} failed.', 'upload.done': 'Uploaded {name}', 'admin.files.gallery': 'Gallery',
+        'admin.files.video': 'video', 'admin.files.removeMedia': 'Remove from gallery', 'admin.files.removeMediaFailed': 'Removing media failed',
+        'admin.files.dropMedia': 'Drop an image or video for the gallery', 'admin.files.preview': 'Free preview', 'admin.files.removePreviewFailed': 'Removing preview failed',
+        'admin.files.noPreview': 'None. PDFs are cut to a few pages, images are watermarked and audio is cut to a short clip.',
+        'admin.files.replacePreview': 'Drop a file to replace the preview', 'admin.files.dropPreview': 'Drop a PDF, image or audio file', 'admin.files.versions': 'Versions',
+        'admin.files.version': 'Version', 'admin.files.notes': 'Release notes (shown to buyers)', 'admin.files.versionInvalid': 'Use a version like 1.2 or 1.2.3',
+        'admin.files.versionExists': 'Version {version} already exists', 'admin.files.released': 'Released v{version}', 'admin.files.dropVersion': 'Drop the file for v{version}',
+        'admin.files.dropFirst': 'Drop the product file',
+        'admin.range.7': 'Last 7 days', 'admin.range.30': 'Last 30 days', 'admin.range.90': 'Last 90 days', 'admin.range.365': 'Last 12 months', 'admin.range.custom': 'Custom',
+        'admin.range.to': 'to', 'admin.range.missing': 'Pick a start and an end date', 'admin.range.inverted': 'The start date must be on or before the end date',
+        'admin.stats.loadError': 'Could not load stats.', 'admin.stats.summary': '{revenue} from {orders} orders · {free} free downloads', 'admin.stats.view': 'View analytics',
+        'admin.stats.revenue': 'Revenue', 'admin.stats.orders': 'Orders', 'admin.stats.average': 'avg {amount}', 'admin.stats.freeDownloads': 'Free downloads',
+        'admin.stats.conversion': 'Conversion', 'admin.stats.funnel': '{purchases} purchases / {views} views', 'admin.stats.overTime': 'Revenue over time',
+        'admin.stats.noSales': 'No sales in this period.', 'admin.stats.bar': '{date}: {revenue} ({orders} orders)', 'admin.stats.top': 'Top products', 'admin.stats.byRevenue': 'By revenue',
+        'admin.stats.byUnits': 'By units', 'admin.stats.recent': 'Recent orders', 'admin.stats.export': 'Export CSV',
+        'admin.licenses.maxInvalid': 'Must be a whole number of at least 1', 'admin.licenses.status.active': 'Active', 'admin.licenses.status.revoked': 'Revoked',
+        'admin.licenses.revoke': 'Revoke', 'admin.licenses.reissue': 'Reissue', 'admin.licenses.search': 'Search by key, email or product...',
+        'admin.licenses.loadError': 'Could not load licenses.', 'admin.licenses.none': 'No licenses found.',
+        'admin.coupons.code': 'Code (e.g. SPRING25)', 'admin.coupons.percent': 'Percent off', 'admin.coupons.fixed': 'Fixed amount off', 'admin.coupons.percentValue': 'Percent, e.g. 25',
+        'admin.coupons.fixedValue': 'Cents, e.g. 500 = $5.00', 'admin.coupons.expires': 'Expires (optional)', 'admin.coupons.limit': 'Usage limit (empty = unlimited)',
+        'admin.coupons.products': 'Limit to products (none selected = whole cart)', 'admin.coupons.create': 'Create coupon', 'admin.coupons.new': 'New coupon',
+        'admin.coupons.allProducts': 'All products', 'admin.coupons.loadError': 'Could not load coupons.', 'admin.coupons.none': 'No coupons yet.',
+        'admin.coupons.codeInvalid': 'Code must be 3-32 characters: letters, digits, - or _', 'admin.coupons.valueInvalid': 'Discount must be a whole number above 0',
+        'admin.coupons.percentHigh': 'A percent discount cannot exceed 100', 'admin.coupons.limitInvalid': 'Usage limit must be a whole number (or empty for unlimited)',
+        'admin.coupons.expired': 'Expiry date is in the past',
+        'admin.bundles.title': 'Bundles', 'admin.bundles.none': 'No bundles yet.', 'admin.bundles.new': 'New bundle', 'admin.bundles.create': 'Create bundle',
+        'admin.bundles.included': 'Included products', 'admin.bundles.price': 'Bundle price (in cents)', 'admin.bundles.separately': 'Separately {worth}',
+        'admin.bundles.saving': 'buyers save {percent}%', 'admin.bundles.pickTwo': 'Pick at least two products',
+        'admin.bundles.priceInvalid': 'Price must be a whole number of cents (e.g. 1999 = $19.99)',
+        'admin.bundles.tooExpensive': 'A bundle must cost less than its products bought separately ({worth})',
+        'footer.copyright': '© {year} Digital Products Store'
+    },
+    ar: {
+        'nav.home': 'الرئيسية', 'nav.products': 'المنتجات', 'nav.library': 'مكتبتي', 'nav.admin': 'الإدارة', 'nav.cart': 'السلة', 'nav.cartCount': 'السلة ({count})',
+        'nav.login': 'تسجيل الدخول', 'nav.logout': 'تسجيل الخروج', 'nav.language': 'اللغة', 'nav.currency': 'العملة',
+        'common.loading': 'جارٍ التحميل...', 'common.retry': 'إعادة المحاولة', 'common.dismiss': 'إغلاق', 'common.remove': 'إزالة', 'common.download': 'تنزيل',
+        'common.cancel': 'إلغاء', 'common.coverAlt': 'صورة الغلاف', 'common.closeToast': 'إغلاق الإشعار', 'common.notFound': 'الصفحة غير موجودة.', 'common.forbidden': 'ليس لديك صلاحية الوصول إلى هذه الصفحة.',
+        'error.generic': 'حدث خطأ أثناء التحميل.', 'error.request': 'فشل الطلب ({status})', 'error.network': 'خطأ في الشبكة — تحقق من اتصالك.',
+        'session.expired': 'انتهت صلاحية جلستك. يرجى تسجيل الدخول مرة أخرى.',
+        'price.free': 'مجاني', 'price.from': 'ابتداءً من {amount}', 'price.anyAmount': 'ادفع ما تشاء',
+        'pwyw.label': 'حدد السعر ({currency})', 'pwyw.min': 'الحد الأدنى {min}', 'pwyw.noMin': 'أي مبلغ، حتى لا شيء',
+        'pwyw.invalid': 'أدخل مبلغًا مثل 5 أو 4.99', 'pwyw.tooLow': 'الحد الأدنى هو {min}',
+        'bundle.badge': 'حزمة · {count} منتجات', 'bundle.save': 'وفّر {percent}%', 'bundle.contents': 'محتويات هذه الحزمة',
+        'bundle.grants': 'شراء الحزمة يضيف كل المنتجات أدناه إلى مكتبتك.', 'bundle.inLibrary': 'تملكها — افتح المكتبة', 'bundle.fromBundle': 'ضمن {title}',
+        'cart.inBundle': 'مضمّن بالفعل في "{title}" في سلتك', 'cart.bundleReplaces': '"{title}" يتضمن {items}، لذا أُزيلت من سلتك',
+        'home.heroTitle': 'بِع منتجاتك الرقمية — بسرعة', 'home.heroText': 'تنزيلات فورية، وإدارة للتراخيص، وتسليم آمن.',
+        'home.featured': 'منتجات مميزة', 'home.loadError': 'تعذر تحميل المنتجات المميزة.',
+        'card.owned': 'تملكه — تنزيل', 'card.inCart': 'في السلة', 'card.addToCart': 'أضف إلى السلة', 'card.view': 'عرض',
+        'products.title': 'جميع المنتجات', 'products.search': 'ابحث عن منتج...', 'products.allCategories': 'كل الفئات',
+        'products.min': 'الحد الأدنى ({currency})', 'products.max': 'الحد الأقصى ({currency})', 'products.freeOnly': 'المجاني فقط', 'products.reset': 'إعادة تعيين',
+        'products.result': 'نتيجة واحدة', 'products.results': '{count} نتيجة', 'products.loadError': 'تعذر تحميل المنتجات.',
+        'products.previous': 'السابق', 'products.next': 'التالي', 'products.page': 'صفحة {page} من {pages}',
+        'sort.latest': 'الأحدث', 'sort.price_asc': 'السعر: من الأقل إلى الأعلى', 'sort.price_desc': 'السعر: من الأعلى إلى الأقل', 'sort.popular': 'الأكثر شيوعًا', 'sort.rating': 'الأعلى تقييمًا',
+        'detail.buy': 'شراء وتنزيل', 'detail.notFound': 'المنتج غير موجود.', 'detail.loadError': 'تعذر تحميل هذا المنتج.',
+        'review.title': 'المراجعات', 'review.none': 'لا توجد مراجعات بعد.', 'review.average': '{rating} من 5 · {count} مراجعة', 'review.loadError': 'تعذر تحميل المراجعات.',
+        'review.stars': 'التقييم {rating} من 5', 'review.starsN': '{count} نجوم', 'review.rating': 'تقييمك', 'review.verified': 'شراء موثّق',
+        'review.loginPrompt': 'اشتريت هذا المنتج؟ سجّل الدخول لتقييمه.', 'review.buyersOnly': 'يمكن لمشتري هذا المنتج فقط تقييمه.',
+        'review.placeholder': 'ما رأيك في المنتج؟', 'review.submit': 'إرسال المراجعة', 'review.edit': 'تعديل المراجعة', 'review.yours': 'مراجعتك',
+        'review.ratingRequired': 'اختر تقييمًا', 'review.bodyRequired': 'اكتب بضع كلمات عن المنتج',
+        'review.submitted': 'شكرًا! ستظهر مراجعتك بعد الموافقة عليها.', 'review.failed': 'تعذر حفظ مراجعتك', 'review.reply': 'رد المتجر',
+        'review.status.pending': 'بانتظار الموافقة', 'review.status.approved': 'منشورة', 'review.status.hidden': 'أخفاها المتجر',
+        'qa.title': 'الأسئلة والأجوبة', 'qa.none': 'لا توجد أسئلة بعد. اطرح أول سؤال!', 'qa.ask': 'اسأل', 'qa.placeholder': 'اطرح سؤالًا عن هذا المنتج...',
+        'qa.loginPrompt': 'سجّل الدخول لطرح سؤال أو الإجابة عنه.', 'qa.answer': 'أجب', 'qa.answerPlaceholder': 'اكتب إجابة...', 'qa.post': 'نشر',
+        'qa.seller': 'البائع', 'qa.asked': 'سأل {author} في {date}', 'qa.empty': 'اكتب شيئًا أولًا', 'qa.failed': 'تعذر النشر', 'qa.loadError': 'تعذر تحميل الأسئلة.',
+        'gallery.show': 'عرض الوسائط {n}', 'preview.title': 'معاينة مجانية', 'preview.close': 'إغلاق المعاينة', 'preview.newTab': 'فتح في علامة تبويب جديدة',
+        'preview.open.pdf': 'اقرأ عينة مجانية', 'preview.open.image': 'اعرض معاينة مجانية', 'preview.open.audio': 'استمع إلى مقطع مجاني',
+        'preview.note.pdf': 'بضع صفحات كعينة.', 'preview.note.image': 'معاينة بعلامة مائية — الملف الكامل بدقة كاملة ومن دون علامة مائية.',
+        'preview.note.audio': 'مقطع قصير — الملف الكامل هو المقطع كاملًا.',
+        'versions.title': 'سجل التغييرات', 'versions.current': 'الإصدار {version}', 'versions.updated': 'الإصدار {version} · حُدّث في {date}',
+        'versions.updateAvailable': 'يتوفر تحديث: الإصدار {version}', 'versions.whatsNew': 'ما الجديد', 'versions.downloadLatest': 'تنزيل الإصدار {version}',
+        'auth.forgot': 'نسيت كلمة المرور؟', 'auth.verifySent': 'تم إنشاء الحساب. أرسلنا رابط التحقق إلى {email}.',
+        'password.show': 'إظهار', 'password.hide': 'إخفاء', 'password.strength': 'القوة: {label}', 'password.weak': 'ضعيفة', 'password.fair': 'مقبولة',
+        'password.good': 'جيدة', 'password.strong': 'قوية', 'password.tooShort': 'استخدم 8 أحرف على الأقل', 'password.mix': 'استخدم حروفًا وأرقامًا معًا',
+        'password.mismatch': 'كلمتا المرور غير متطابقتين',
+        'forgot.title': 'إعادة تعيين كلمة المرور', 'forgot.intro': 'أدخل البريد الإلكتروني لحسابك وسنرسل لك رابطًا لاختيار كلمة مرور جديدة.',
+        'forgot.submit': 'إرسال رابط إعادة التعيين', 'forgot.sent': 'إذا كان هناك حساب مرتبط بـ {email} فسيصلك رابط إعادة التعيين قريبًا. تنتهي صلاحيته خلال ساعة.',
+        'reset.title': 'اختر كلمة مرور جديدة', 'reset.submit': 'حفظ كلمة المرور الجديدة', 'reset.done': 'تم تغيير كلمة المرور. يمكنك تسجيل الدخول الآن.',
+        'reset.invalid': 'رابط إعادة التعيين غير صالح أو منتهي الصلاحية.', 'reset.again': 'اطلب رابطًا جديدًا',
+        'outbox.title': 'صندوق البريد الصادر (للتطوير)', 'outbox.refresh': 'تحديث', 'outbox.clear': 'مسح', 'outbox.empty': 'لم يُرسل أي بريد بعد.', 'outbox.to': 'إلى {to} · {date}',
+        'outbox.loadError': 'هل خادم التطوير (أو `node mock-server.mjs`) يعمل مع تفعيل صندوق البريد الصادر؟',
+        'verify.title': 'التحقق من البريد الإلكتروني', 'verify.done': 'تم التحقق من بريدك الإلكتروني.', 'verify.invalid': 'رابط التحقق غير صالح أو منتهي الصلاحية.',
+        'verify.requestNew': 'استخدم زر "إعادة الإرسال" في الشريط أعلاه للحصول على رابط جديد.', 'verify.banner': 'يرجى تأكيد {email} عبر الرابط الذي أرسلناه إليك.',
+        'verify.resend': 'إعادة الإرسال', 'verify.resent': 'تم الإرسال — تحقق من بريدك.', 'verify.resendFailed': 'تعذرت إعادة إرسال البريد',
+        'account.title': 'الحساب', 'account.backToLogin': 'العودة إلى تسجيل الدخول', 'account.email': 'البريد الإلكتروني', 'account.verified': 'موثّق', 'account.unverified': 'غير موثّق',
+        'account.newEmail': 'البريد الإلكتروني الجديد', 'account.sameEmail': 'هذا هو بريدك الإلكتروني الحالي', 'account.currentPassword': 'كلمة المرور الحالية',
+        'account.changeEmail': 'تغيير البريد الإلكتروني', 'account.emailChanged': 'تم تغيير البريد الإلكتروني. أكّد {email} عبر الرابط الذي أرسلناه للتو.', 'account.emailFailed': 'تعذر تغيير بريدك الإلكتروني',
+        'account.newPassword': 'كلمة المرور الجديدة', 'account.confirmPassword': 'أعد كتابة كلمة المرور الجديدة', 'account.changePassword': 'تغيير كلمة المرور',
+        'account.passwordChanged': 'تم تغيير كلمة المرور', 'account.passwordFailed': 'تعذر تغيير كلمة المرور',
+        'account.delete': 'حذف الحساب', 'account.deleteWarning': 'ستُحذف مكتبتك وتراخيصك وروابط التنزيل نهائيًا. لا يمكن التراجع عن ذلك.',
+        'account.deleteConfirm': 'هل تريد حذف حسابك نهائيًا؟', 'account.deleted': 'تم حذف حسابك.', 'account.deleteFailed': 'تعذر حذف حسابك',
+        'checkout.loginFirst': 'يرجى تسجيل الدخول أولًا', 'checkout.failed': 'فشل إتمام الطلب', 'checkout.error': 'خطأ أثناء إتمام الطلب',
+        'checkout.title': 'إتمام الطلب', 'checkout.pay': 'ادفع واحصل على التنزيل', 'checkout.redirecting': 'جارٍ التحويل إلى الدفع...', 'checkout.backToCart': 'العودة إلى السلة',
+        'cart.title': 'السلة', 'cart.empty': 'سلتك فارغة.', 'cart.clear': 'إفراغ', 'cart.checkout': 'إتمام الطلب',
+        'coupon.applied': 'تم تطبيق الرمز {code}', 'coupon.placeholder': 'رمز القسيمة', 'coupon.apply': 'تطبيق', 'coupon.invalid': 'رمز غير صالح', 'coupon.checkFailed': 'تعذر التحقق من هذا الرمز', 'coupon.dropped': 'أُزيل الرمز {code}: {reason}',
+        'summary.subtotal': 'المجموع الفرعي', 'summary.discount': 'الخصم ({code})', 'summary.total': 'الإجمالي',
+        'payment.cancelled': 'تم إلغاء الدفع', 'payment.failed': 'فشل الدفع', 'payment.leftPage': 'غادرت صفحة الدفع قبل إتمامه. سلتك ما زالت محفوظة.',
+        'payment.retry': 'إعادة محاولة الدفع', 'payment.redirecting': 'جارٍ التحويل...', 'payment.restartFailed': 'تعذرت إعادة بدء الدفع',
+        'order.notFound': 'الطلب غير موجود.', 'order.waiting': 'بانتظار الدفع',
+        'order.confirming': 'الطلب رقم {id} — نتحقق من دفعتك لدى مزود الدفع. تتحدث هذه الصفحة تلقائيًا.',
+        'order.stillProcessing': 'الطلب رقم {id} ما زال قيد المعالجة. عد بعد بضع دقائق:', 'order.openPayment': 'فتح صفحة الدفع مجددًا',
+        'order.notPaid': 'لم يتم دفع الطلب رقم {id}.', 'order.notPaidReason': 'لم يتم دفع الطلب رقم {id}: {reason}.', 'order.notCharged': 'لم يتم خصم أي مبلغ منك.',
+        'order.thanks': 'شكرًا لطلبك', 'order.ready': 'الطلب رقم {id} — تنزيلاتك جاهزة.', 'order.noFile': 'لا يوجد ملف بعد', 'order.continue': 'متابعة التسوق',
+        'library.empty': 'لم تشترِ أي شيء بعد.', 'library.loadError': 'تعذر تحميل مشترياتك.', 'library.browse': 'تصفح المنتجات', 'library.purchased': 'تم الشراء في {date}',
+        'library.licenses': 'التراخيص والأجهزة', 'library.orders': 'الطلبات', 'library.noOrders': 'لا توجد طلبات بعد.', 'library.order': 'الطلب رقم {id}',
+        'library.downloadFailed': 'فشل التنزيل', 'library.downloadError': 'خطأ في التنزيل',
+        'license.copy': 'نسخ', 'license.copied': 'تم النسخ', 'license.copyManually': 'تعذر النسخ تلقائيًا. تم تحديد المفتاح: اضغط Ctrl+C (⌘C) لنسخه.', 'license.none': 'لا توجد تراخيص بعد.', 'license.loadError': 'تعذر تحميل تراخيصك.', 'license.revoked': 'ملغى',
+        'license.used': 'تم استخدام {used} من {max} تفعيلات', 'license.since': 'منذ {date}', 'license.deactivate': 'إلغاء التفعيل',
+        'license.confirmDeactivate': 'إلغاء تفعيل {device}؟ يمكن بعدها تفعيل الترخيص على جهاز آخر.',
+        'license.deactivated': 'تم إلغاء تفعيل {device}', 'license.deactivateFailed': 'فشل إلغاء التفعيل',
+        'auth.login': 'تسجيل الدخول', 'auth.register': 'إنشاء حساب', 'auth.email': 'البريد الإلكتروني', 'auth.password': 'كلمة المرور',
+        'auth.toRegister': 'إنشاء حساب جديد', 'auth.toLogin': 'لديك حساب؟ سجّل الدخول', 'auth.invalidEmail': 'أدخل بريدًا إلكترونيًا صالحًا', 'auth.passwordRequired': 'أدخل كلمة المرور',
+        'auth.welcome': 'مرحبًا بعودتك!', 'auth.loginFailed': 'فشل تسجيل الدخول', 'auth.registerFailed': 'فشل إنشاء الحساب',
+        'admin.tab.products': 'المنتجات', 'admin.tab.analytics': 'التحليلات', 'admin.tab.licenses': 'التراخيص', 'admin.tab.coupons': 'القسائم', 'admin.tab.reviews': 'المراجعات',
+        'admin.deleteFailed': 'فشل الحذف', 'admin.updateFailed': 'فشل التحديث',
+        'admin.rates.title': 'أسعار الصرف', 'admin.rates.hint': '1 {base} = … اتركه فارغًا لإخفاء العملة. المنتجات التي لها سعر خاص بعملة ما تستخدمه بدلًا من ذلك.',
+        'admin.rates.invalid': 'يجب أن تكون الأسعار أرقامًا موجبة', 'admin.rates.save': 'حفظ الأسعار', 'admin.rates.saved': 'تم حفظ أسعار الصرف', 'admin.rates.saveFailed': 'فشل حفظ الأسعار',
+        'admin.reviews.tab.pending': 'قيد الانتظار', 'admin.reviews.tab.approved': 'منشورة', 'admin.reviews.tab.hidden': 'مخفية',
+        'admin.reviews.none.pending': 'لا توجد مراجعات قيد الانتظار.', 'admin.reviews.none.approved': 'لا توجد مراجعات منشورة.', 'admin.reviews.none.hidden': 'لا توجد مراجعات مخفية.', 'admin.reviews.loadError': 'تعذر تحميل المراجعات.',
+        'admin.reviews.unverified': '· ليس مشتريًا موثقًا', 'admin.reviews.yourReply': 'ردك: {body}', 'admin.reviews.replyPlaceholder': 'اكتب ردًا علنيًا...', 'admin.reviews.send': 'إرسال',
+        'admin.reviews.approve': 'موافقة', 'admin.reviews.hide': 'إخفاء', 'admin.reviews.reply': 'رد', 'admin.reviews.editReply': 'تعديل الرد',
+        'admin.reviews.approved': 'تمت الموافقة على المراجعة', 'admin.reviews.hidden': 'تم إخفاء المراجعة', 'admin.reviews.replyPosted': 'تم نشر الرد', 'admin.reviews.replyFailed': 'فشل إرسال الرد',
+        'admin.coupons.saved': 'تم حفظ القسيمة {code}', 'admin.coupons.saveFailed': 'فشل حفظ القسيمة', 'admin.coupons.confirmDelete': 'حذف القسيمة {code}؟', 'admin.coupons.deleted': 'تم حذف القسيمة {code}',
+        'admin.licenses.confirmRevoke': 'إلغاء {key}؟ ستتوقف جميع تفعيلاته عن العمل.', 'admin.licenses.confirmReissue': 'إعادة إصدار {key}؟ سيتوقف المفتاح القديم عن العمل وتُمسح التفعيلات.',
+        'admin.licenses.revokeFailed': 'فشل الإلغاء', 'admin.licenses.reissueFailed': 'فشلت إعادة الإصدار',
+        'admin.bundles.saved': 'تم حفظ الحزمة "{title}"', 'admin.bundles.saveFailed': 'فشل حفظ الحزمة', 'admin.bundles.confirmDelete': 'حذف الحزمة "{title}"؟ يحتفظ المشترون السابقون بمنتجاتهم.', 'admin.bundles.deleted': 'تم حذف الحزمة "{title}"',
+        'admin.save': 'حفظ', 'admin.create': 'إنشاء', 'admin.saving': 'جارٍ الحفظ...', 'admin.edit': 'تعديل', 'admin.delete': 'حذف', 'admin.editing': 'تعديل {name}', 'admin.undo': 'تراجع',
+        'admin.published': 'منشور', 'admin.draft': 'مسودة', 'admin.publish': 'نشر', 'admin.unpublish': 'إلغاء النشر', 'admin.coverUrl': 'رابط صورة الغلاف',
+        'admin.coverInvalid': 'يجب أن تكون صورة الغلاف رابط http(s)',
+        'admin.col.product': 'المنتج', 'admin.col.units': 'الوحدات', 'admin.col.order': 'الطلب', 'admin.col.date': 'التاريخ', 'admin.col.customer': 'العميل', 'admin.col.items': 'العناصر',
+        'admin.col.total': 'الإجمالي', 'admin.col.status': 'الحالة', 'admin.col.key': 'المفتاح', 'admin.col.owner': 'المالك', 'admin.col.activations': 'التفعيلات', 'admin.col.code': 'الرمز',
+        'admin.col.discount': 'الخصم', 'admin.col.appliesTo': 'ينطبق على', 'admin.col.used': 'مستخدم', 'admin.col.expires': 'ينتهي', 'admin.col.bundle': 'الحزمة', 'admin.col.price': 'السعر',
+        'admin.col.separately': 'منفردة',
+        'admin.product.title': 'العنوان', 'admin.product.description': 'الوصف', 'admin.product.fixed': 'سعر ثابت', 'admin.product.pwyw': 'ادفع ما تريد',
+        'admin.product.minPrice': 'أدنى سعر (بالسنتات، 0 = أي مبلغ)', 'admin.product.price': 'السعر (بالسنتات، مثلًا 799 = 7.99 $)', 'admin.product.shownAs': 'يُعرض كـ {price}',
+        'admin.product.suggested': 'السعر المقترح (بالسنتات، اختياري)', 'admin.product.titleRequired': 'العنوان مطلوب', 'admin.product.titleLong': 'يجب ألا يتجاوز العنوان 120 حرفًا',
+        'admin.product.priceInvalid': 'يجب أن يكون السعر عددًا صحيحًا بالسنتات (مثلًا 799 = 7.99 $)', 'admin.product.suggestedInvalid': 'يجب أن يكون السعر المقترح عددًا صحيحًا بالسنتات',
+        'admin.product.suggestedLow': 'لا يمكن أن يقل السعر المقترح عن الحد الأدنى', 'admin.product.create': 'إنشاء منتج', 'admin.product.yours': 'منتجاتك',
+        'admin.product.loadError': 'تعذر تحميل منتجاتك.', 'admin.product.created': 'تم إنشاء "{title}"', 'admin.product.createFailed': 'فشل الإنشاء',
+        'admin.product.saved': 'تم حفظ "{title}"', 'admin.product.deleted': 'تم حذف "{title}"', 'admin.product.noFile': 'لا يوجد ملف مرفق',
+        'admin.product.galleryCount': '{count} عناصر في المعرض', 'admin.product.hasPreview': 'معاينة', 'admin.product.files': 'الملفات والوسائط', 'admin.product.closeFiles': 'إغلاق الملفات',
+        'admin.tips.title': 'نصائح للمشرف', 'admin.tips.login': 'المشرف الافتراضي (غيّره في ملف \u200e.env للخادم): admin@example.com / admin123',
+        'admin.tips.versions': 'كل ملف يُرفع ضمن "الملفات والوسائط" يُصدر كنسخة جديدة ويرى المشترون السابقون التحديث في مكتبتهم. تبدأ المنتجات الجديدة كمسودات حتى تُنشر.',
+        'upload.drop': 'أفلت ملفًا هنا أو انقر للاختيار', 'upload.failed': 'فشل رفع {name}.', 'upload.done': 'تم رفع {name}', 'admin.files.gallery': 'المعرض', 'admin.files.video': 'فيديو',
+        'admin.files.removeMedia': 'إزالة من المعرض', 'admin.files.removeMediaFailed': 'فشلت إزالة الوسائط', 'admin.files.dropMedia': 'أفلت صورة أو فيديو للمعرض',
+        'admin.files.preview': 'معاينة مجانية', 'admin.files.removePreviewFailed': 'فشلت إزالة المعاينة',
+        'admin.files.noPreview': 'لا توجد. تُقتطع ملفات PDF إلى بضع صفحات وتُعلَّم الصور بعلامة مائية ويُقص الصوت إلى مقطع قصير.',
+        'admin.files.replacePreview': 'أفلت ملفًا لاستبدال المعاينة', 'admin.files.dropPreview': 'أفلت ملف PDF أو صورة أو ملفًا صوتيًا', 'admin.files.versions': 'الإصدارات',
+        'admin.files.version': 'الإصدار', 'admin.files.notes': 'ملاحظات الإصدار (تظهر للمشترين)', 'admin.files.versionInvalid': 'استخدم رقم إصدار مثل 1.2 أو 1.2.3',
+        'admin.files.versionExists': 'الإصدار {version} موجود بالفعل', 'admin.files.released': 'تم إصدار v{version}', 'admin.files.dropVersion': 'أفلت ملف الإصدار v{version}',
+        'admin.files.dropFirst': 'أفلت ملف المنتج',
+        'admin.range.7': 'آخر 7 أيام', 'admin.range.30': 'آخر 30 يومًا', 'admin.range.90': 'آخر 90 يومًا', 'admin.range.365': 'آخر 12 شهرًا', 'admin.range.custom': 'مخصص',
+        'admin.range.to': 'إلى', 'admin.range.missing': 'اختر تاريخ البداية وتاريخ النهاية', 'admin.range.inverted': 'يجب أن يكون تاريخ البداية في تاريخ النهاية أو قبله',
+        'admin.stats.loadError': 'تعذر تحميل الإحصاءات.', 'admin.stats.summary': '{revenue} من {orders} طلبات · {free} تنزيلات مجانية', 'admin.stats.view': 'عرض التحليلات',
+        'admin.stats.revenue': 'الإيرادات', 'admin.stats.orders': 'الطلبات', 'admin.stats.average': 'المتوسط {amount}', 'admin.stats.freeDownloads': 'التنزيلات المجانية',
+        'admin.stats.conversion': 'معدل التحويل', 'admin.stats.funnel': '{purchases} عمليات شراء / {views} مشاهدات', 'admin.stats.overTime': 'الإيرادات عبر الزمن',
+        'admin.stats.noSales': 'لا مبيعات في هذه الفترة.', 'admin.stats.bar': '{date}: {revenue} ({orders} طلبات)', 'admin.stats.top': 'المنتجات الأكثر مبيعًا',
+        'admin.stats.byRevenue': 'حسب الإيرادات', 'admin.stats.byUnits': 'حسب الوحدات', 'admin.stats.recent': 'أحدث الطلبات', 'admin.stats.export': 'تصدير CSV',
+        'admin.licenses.maxInvalid': 'يجب أن يكون عددًا صحيحًا لا يقل عن 1', 'admin.licenses.status.active': 'فعّال', 'admin.licenses.status.revoked': 'ملغى',
+        'admin.licenses.revoke': 'إلغاء', 'admin.licenses.reissue': 'إعادة إصدار', 'admin.licenses.search': 'ابحث بالمفتاح أو البريد أو المنتج...',
+        'admin.licenses.loadError': 'تعذر تحميل التراخيص.', 'admin.licenses.none': 'لم يُعثر على تراخيص.',
+        'admin.coupons.code': 'الرمز (مثل SPRING25)', 'admin.coupons.percent': 'خصم بالنسبة المئوية', 'admin.coupons.fixed': 'خصم بمبلغ ثابت',
+        'admin.coupons.percentValue': 'النسبة، مثلًا 25', 'admin.coupons.fixedValue': 'بالسنتات، مثلًا 500 = 5.00 $', 'admin.coupons.expires': 'تاريخ الانتهاء (اختياري)',
+        'admin.coupons.limit': 'حد الاستخدام (فارغ = غير محدود)', 'admin.coupons.products': 'قصره على منتجات (بلا تحديد = السلة كاملة)', 'admin.coupons.create': 'إنشاء قسيمة',
+        'admin.coupons.new': 'قسيمة جديدة', 'admin.coupons.allProducts': 'كل المنتجات', 'admin.coupons.loadError': 'تعذر تحميل القسائم.', 'admin.coupons.none': 'لا توجد قسائم بعد.',
+        'admin.coupons.codeInvalid': 'يجب أن يتكون الرمز من 3 إلى 32 حرفًا: أحرف أو أرقام أو - أو _', 'admin.coupons.valueInvalid': 'يجب أن يكون الخصم عددًا صحيحًا أكبر من 0',
+        'admin.coupons.percentHigh': 'لا يمكن أن يتجاوز الخصم بالنسبة المئوية 100', 'admin.coupons.limitInvalid': 'يجب أن يكون حد الاستخدام عددًا صحيحًا (أو فارغًا لعدم التحديد)',
+        'admin.coupons.expired': 'تاريخ الانتهاء في الماضي',
+        'admin.bundles.title': 'الحزم', 'admin.bundles.none': 'لا توجد حزم بعد.', 'admin.bundles.new': 'حزمة جديدة', 'admin.bundles.create': 'إنشاء حزمة',
+        'admin.bundles.included': 'المنتجات المضمّنة', 'admin.bundles.price': 'سعر الحزمة (بالسنتات)', 'admin.bundles.separately': 'منفردة {worth}',
+        'admin.bundles.saving': 'يوفر المشترون {percent}%', 'admin.bundles.pickTwo': 'اختر منتجين على الأقل',
+        'admin.bundles.priceInvalid': 'يجب أن يكون السعر عددًا صحيحًا بالسنتات (مثلًا 1999 = 19.99 $)',
+        'admin.bundles.tooExpensive': 'يجب أن يكون سعر الحزمة أقل من سعر منتجاتها منفردة ({worth})',
+        'footer.copyright': '© {year} متجر المنتجات الرقمية'
+    }
+};
+
+// missing keys fall back to English, then to the key itself; `{name}` placeholders are filled from `vars`
+function translate(locale, key, vars) {
+    const text = messages[locale]?.[key] ?? messages.en[key] ?? key;
+    return vars ? text.replace(/\{(\w+)\}/g, (m, name) => vars[name] ?? m) : text;
+}
+
+const LocaleContext = createContext();
+function useI18n() { return useContext(LocaleContext); }
+
+function LocaleProvider({ children }) {
+    // a stored locale this build doesn't know (older or hand-edited) would break `dir` below, so fall back
+    const [locale, setLocale] = useState(() => [localStorage.getItem('locale'), navigator.language?.slice(0, 2)].find(l => LOCALES[l]) || 'en');
+    const [chosenCurrency, setCurrency] = useState(() => localStorage.getItem('currency') || BASE_CURRENCY);
+    const rates = useQuery('currencies', signal => api.get('/api/currencies', { signal }).then(r => r.data?.rates || {}), { staleTime: 10 * 60000 }).data || {};
+    // without a rate for the chosen currency we keep showing base prices rather than wrong ones
+    const currency = chosenCurrency === BASE_CURRENCY || rates[chosenCurrency] ? chosenCurrency : BASE_CURRENCY;
+
+    useEffect(() => {
+        localStorage.setItem('locale', locale);
+        document.documentElement.lang = locale;
+        document.documentElement.dir = LOCALES[locale].dir;
+    }, [locale]);
+    useEffect(() => { localStorage.setItem('currency', chosenCurrency); }, [chosenCurrency]);
+
+    const t = (key, vars) => translate(locale, key, vars);
+    const convert = (cents) => currency === BASE_CURRENCY ? cents : Math.round(cents * rates[currency]);
+    const rate = (cur) => cur === BASE_CURRENCY ? 1 : rates[cur];
+    // price of a product (or cart line) in the selected currency, in that currency's cents
+    const amountOf = (p) => {
+        if (p.amount != null) return p.amountCurrency === currency || !rate(p.amountCurrency) ? p.amount : Math.round(p.amount / rate(p.amountCurrency) * rate(currency));
+        return p.prices?.[currency] ?? convert(p.price);
+    };
+    const money = (cents, cur = currency) => formatMoney(cents, cur, locale);
+    const value = {
+        locale, setLocale, currency, setCurrency, t, convert, amountOf, money,
+        // the other way round: cents typed in the selected currency -> base-currency cents
+        toBase: (cents) => currency === BASE_CURRENCY ? cents : Math.round(cents / rates[currency]),
+        currencies: CURRENCIES.filter(c => c === BASE_CURRENCY || rates[c]),
+        // a cart line with a chosen amount shows that amount, a pay-what-you-want product its minimum
+        price: (p) => p.amount != null ? formatPrice(amountOf(p), currency, locale) : formatPrice({ ...p, price: amountOf(p) }, currency, locale),
+        date: (d) => new Date(d).toLocaleDateString(locale)
+    };
+    return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+}
+
 /* ----------------- Auth & App Context ----------------- */
 const AuthContext = createContext();
 function useAuth() { return useContext(AuthContext); }
 
+// read the JWT payload without verifying it; the backend stays the authority, this is only for UI decisions
+function decodeToken(token) {
+    try {
+        const b64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const json = decodeURIComponent(atob(b64).split('').map(c => '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2)).join(''));
+        return JSON.parse(json);
+    } catch (e) { return null; }
+}
+
 function AuthProvider({ children }) {
-    const [token, setToken] = useState(localStorage.getItem('token'));
+    const { t } = useI18n();
+    const [token, setTokenState] = useState(session.token);
     const [user, setUser] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const claims = token ? decodeToken(token) : null;
+    const expiresAt = claims?.exp ? claims.exp * 1000 : null;
+    // `session.token` is updated synchronously so child providers that fetch on token change already send it
+    const saveSession = (data) => {
+        session.token = data?.token || null;
+        if (data?.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+        if (!data) localStorage.removeItem('refreshToken');
+        setTokenState(session.token);
+    };
+
+    useEffect(() => {
+        session.onRefreshed = saveSession;
+        session.onExpired = () => { saveSession(null); setNotice('session.expired'); };
+        // another tab logged in, out or refreshed the token
+        const onStorage = (e) => { if (e.key === 'token') { session.token = e.newValue; setTokenState(e.newValue); } };
+        window.addEventListener('storage', onStorage);
+        return () => { session.onRefreshed = null; session.onExpired = null; window.removeEventListener('storage', onStorage); };
+    }, []);
 
     useEffect(() => {
         if (token) {
             localStorage.setItem('token', token);
-            // decode minimal info from JWT if needed or call /api/me (backend not provided)
-            // here we'll just set a placeholder
-            setUser({ email: 'user@me' });
-            axios.defaults.headers.common['Authorization'] = 'Bearer ' + token;
+            // show what the token tells us right away, then replace it with the real profile;
+            // an expired token is refreshed (or the session ended) by the api interceptor on this call
+            const fromClaims = { id: claims?.sub, email: claims?.email || null, role: claims?.role || null };
+            setUser(claims?.role ? fromClaims : null);
+            let cancelled = false;
+            api.get('/api/me').then(r => { if (!cancelled) setUser(r.data); }).catch(e => {
+                if (!cancelled && e.response?.status !== 401) setUser(u => u || fromClaims);
+            });
+            return () => { cancelled = true; };
         } else {
             localStorage.removeItem('token');
-            delete axios.defaults.headers.common['Authorization'];
             setUser(null);
         }
     }, [token]);
 
+    // resolves to { ok } or { ok: false, error, errors } where `errors` maps field names to server-side messages
     const login = async (email, password) => {
-        const res = await axios.post('/api/auth/login', { email, password });
-        if (res.data?.token) { setToken(res.data.token); return { ok: true }; }
-        return { ok: false, error: res.data?.error || 'Login failed' };
+        const res = await api.post('/api/auth/login', { email, password }).catch(e => e.response);
+        if (res?.data?.token) { saveSession(res.data); setNotice(null); return { ok: true }; }
+        return { ok: false, error: res?.data?.error || t('auth.loginFailed'), errors: res?.data?.errors };
     };
     const register = async (email, password) => {
-        const res = await axios.post('/api/auth/register', { email, password });
-        if (res.data?.token) { setToken(res.data.token); return { ok: true }; }
-        return { ok: false, error: res.data?.error || 'Register failed' };
+        const res = await api.post('/api/auth/register', { email, password }).catch(e => e.response);
+        if (res?.data?.token) { saveSession(res.data); setNotice(null); return { ok: true }; }
+        return { ok: false, error: res?.data?.error || t('auth.registerFailed'), errors: res?.data?.errors };
     };
-    const logout = () => setToken(null);
+    const logout = () => saveSession(null);
+    // after verifying or changing the email address
+    const refreshUser = () => api.get('/api/me').then(r => setUser(r.data)).catch(() => { });
 
+    const role = user?.role || null;
+    const value = { token, login, register, logout, refreshUser, user, email: user?.email || null, role, isAdmin: role === 'admin', expiresAt, loading: !!token && !user, notice, dismissNotice: () => setNotice(null) };
     return (
-        <AuthContext.Provider value={{ token, login, register, logout, user }}>
+        <AuthContext.Provider value={value}>
             {children}
         </AuthContext.Provider>
     );
 }
 
+// route guard: anonymous users go to /auth and come back afterwards, a `role` prop restricts the route further
+function RequireAuth({ role, children }) {
+    const auth = useAuth();
+    const { t } = useI18n();
+    const location = useLocation();
+    if (!auth.token) return <Navigate to="/auth" replace state={{ from: location }} />;
+    if (auth.loading) return <div className="container">{t('common.loading')}</div>;
+    if (role && auth.role !== role) return <div className="container">{t('common.forbidden')}</div>;
+    return children;
+}
+
 /* ----------------- Small UI helpers ----------------- */
-function formatPrice(p) { return p === 0 ? 'Free' : '$' + (p / 100).toFixed(2); }
-function useToast() { const [msg, setMsg] = useState(null); useEffect(() => { if (!msg) return; const t = setTimeout(() => setMsg(null), 3500); return () => clearTimeout(t); }, [msg]); return { msg, show: setMsg } }
+function formatMoney(c, currency = BASE_CURRENCY, locale = 'en') { return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(c / 100); }
+// `p` is an amount in cents or a product; pay-what-you-want products (`pricing: 'pwyw'`) show their minimum `price`
+function formatPrice(p, currency = BASE_CURRENCY, locale = 'en') {
+    if (typeof p === 'object') {
+        if (p.pricing === 'pwyw') return p.price === 0 ? translate(locale, 'price.anyAmount') : translate(locale, 'price.from', { amount: formatMoney(p.price, currency, locale) });
+        p = p.price;
+    }
+    return p === 0 ? translate(locale, 'price.free') : formatMoney(p, currency, locale);
+}
+function useDebounce(value, ms) { const [v, setV] = useState(value); useEffect(() => { const t = setTimeout(() => setV(value), ms); return () => clearTimeout(t); }, [value, ms]); return v; }
+function formatBytes(n) { if (!n) return '0 B'; const i = Math.min(Math.floor(Math.log(n) / Math.log(1024)), 3); return (n / Math.pow(1024, i)).toFixed(i ? 1 : 0) + ' ' + ['B', 'KB', 'MB', 'GB'][i]; }
+
+// placeholder cards with the same footprint as ProductCard while a list loads
+function LoadingGrid({ count = 6 }) {
+    return (
+        <div className="grid" aria-busy="true">
+            {Array.from({ length: count }, (_, i) => (
+                <div key={i} className="card">
+                    <div className="skeleton" style={{ height: 160 }} />
+                    <div className="skeleton" style={{ height: 20, margin: '12px 0 8px', width: '70%' }} />
+                    <div className="skeleton" style={{ height: 14, width: '90%' }} />
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function QueryError({ error, onRetry, children }) {
+    const { t } = useI18n();
+    const message = error?.response?.data?.error || (error?.response ? t('error.request', { status: error.response.status }) : t('error.network'));
+    return (
+        <div className="error-box" role="alert">
+            <span>{children || t('error.generic')} <span style={{ opacity: 0.8 }}>{message}</span></span>
+            {onRetry && <button className="button ghost" onClick={onRetry}>{t('common.retry')}</button>}
+        </div>
+    );
+}
+
+// the catalog endpoint pages its results ({ items, total }); older backends return a plain array
+function fetchProducts(params, signal) {
+    return api.get('/api/products', { params, signal }).then(r => Array.isArray(r.data) ? { items: r.data, total: r.data.length } : r.data);
+}
+
+function ProductCard({ product: p }) {
+    const cart = useCart();
+    const library = useLibrary();
+    const { t, price } = useI18n();
+    // bundles are opened from the library; pay-what-you-want needs an amount, which is picked on the product page
+    let action = null;
+    if (library.owns(p.id)) {
+        action = p.type === 'bundle'
+            ? <Link to="/library"><button className="button ghost">{t('bundle.inLibrary')}</button></Link>
+            : <button className="button ghost" onClick={() => library.download(p.id)}>{t('card.owned')}</button>;
+    } else if (p.pricing !== 'pwyw') action = <button className="button ghost" onClick={() => cart.add(p)}>{cart.has(p.id) ? t('card.inCart') : t('card.addToCart')}</button>;
+    return (
+        <div className="card">
+            <img src={p.coverImageUrl || '/placeholder.png'} alt={t('common.coverAlt')} />
+            <h3>{p.title}</h3>
+            {p.type === 'bundle' && <span className="badge">{t('bundle.badge', { count: (p.bundleItems || []).length })}</span>}
+            {p.ratingCount > 0 && <div className="row" style={{ gap: 4, fontSize: 13 }}><Stars value={p.ratingAvg} /> <span style={{ color: 'var(--muted)' }}>{Number(p.ratingAvg || 0).toFixed(1)} ({p.ratingCount})</span></div>}
+            <p style={{ color: 'var(--muted)' }}>{p.description}</p>
+            {p.tags?.length > 0 && <div className="row" style={{ flexWrap: 'wrap', gap: 4 }}>{p.tags.map(tag => <Link key={tag} to={`/products?tag=${encodeURIComponent(tag)}`} className="badge">#{tag}</Link>)}</div>}
+            <div className="row" style={{ justifyContent: 'space-between', marginTop: 8 }}>
+                <div>{price(p)} {p.type === 'bundle' && <BundleSavings bundle={p} />}</div>
+                <div className="row">
+                    {action}
+                    <Link to={`/product/${p.id}`}><button className="button">{t('card.view')}</button></Link>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// what the included products would cost on their own, struck through, and the saving
+function BundleSavings({ bundle }) {
+    const { t, money, amountOf } = useI18n();
+    const worth = (bundle.bundleItems || []).reduce((s, p) => s + amountOf(p), 0);
+    const cost = amountOf(bundle);
+    if (worth <= cost) return null;
+    return (
+        <span style={{ fontSize: 13 }}>
+            <s style={{ color: 'var(--muted)' }}>{money(worth)}</s> <span className="badge">{t('bundle.save', { percent: Math.round((1 - cost / worth) * 100) })}</span>
+        </span>
+    );
+}
+
+function BundleContents({ bundle }) {
+    const { t, price } = useI18n();
+    return (
+        <section style={{ marginTop: 16 }}>
+            <h3>{t('bundle.contents')}</h3>
+            <p style={{ color: 'var(--muted)' }}>{t('bundle.grants')}</p>
+            {(bundle.bundleItems || []).map(p => (
+                <div key={p.id} className="row" style={{ padding: '6px 0', borderBottom: '1px solid #edf0f7' }}>
+                    <img src={p.coverImageUrl || '/placeholder.png'} alt="" style={{ width: 64, height: 40, objectFit: 'cover', borderRadius: 6 }} />
+                    <Link to={`/product/${p.id}`} style={{ flex: 1 }}>{p.title}</Link>
+                    <span style={{ color: 'var(--muted)' }}>{price(p)}</span>
+                </div>
+            ))}
+        </section>
+    );
+}
+
+function SessionNotice() {
+    const auth = useAuth();
+    const { t } = useI18n();
+    if (!auth.notice) return null;
+    return (
+        <div className="notice" role="status">
+            <span>{t(auth.notice)} <Link to="/auth">{t('nav.login')}</Link></span>
+            <button className="button ghost" onClick={auth.dismissNotice}>{t('common.dismiss')}</button>
+        </div>
+    );
+}
 
 /* ----------------- Pages ----------------- */
 function Header() {
     const auth = useAuth();
+    const cart = useCart();
+    const i18n = useI18n();
+    const { t } = i18n;
     const navigate = useNavigate();
     return (
         <header className="header">
             <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
-                <div className="logo">DIGI<span style={{ color: 'var(--muted)' }}>STORE</span></div>
-                <nav className="nav" style={{ marginLeft: 8 }}>
-                    <Link to="/">Home</Link>
-                    <Link to="/products">Products</Link>
-                    <Link to="/admin">Admin</Link>
+                <div className="logo" dir="ltr">DIGI<span style={{ color: 'var(--muted)' }}>STORE</span></div>
+                <nav className="nav" style={{ marginInlineStart: 8 }}>
+                    <Link to="/">{t('nav.home')}</Link>
+                    <Link to="/products">{t('nav.products')}</Link>
+                    {auth.token && <Link to="/library">{t('nav.library')}</Link>}
+                    {auth.isAdmin && <Link to="/admin">{t('nav.admin')}</Link>}
                 </nav>
             </div>
             <div className="row">
-                <Link to="/cart" className="badge">Cart</Link>
+                <select className="input" style={{ width: 'auto', padding: 4 }} aria-label={t('nav.language')} value={i18n.locale} onChange={e => i18n.setLocale(e.target.value)}>
+                    {Object.entries(LOCALES).map(([code, l]) => <option key={code} value={code}>{l.name}</option>)}
+                </select>
+                <select className="input" style={{ width: 'auto', padding: 4 }} aria-label={t('nav.currency')} value={i18n.currency} onChange={e => i18n.setCurrency(e.target.value)}>
+                    {i18n.currencies.map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+                <Link to="/cart" className="badge">{cart.count ? t('nav.cartCount', { count: cart.count }) : t('nav.cart')}</Link>
                 {auth.token ? (
                     <>
-                        <button className="button ghost" onClick={() => { auth.logout(); navigate('/'); }}>Logout</button>
+                        {auth.email && <Link to="/account" title={t('account.title')} style={{ color: 'var(--muted)', fontSize: 14 }}>{auth.email}</Link>}
+                        <button className="button ghost" onClick={() => { auth.logout(); navigate('/'); }}>{t('nav.logout')}</button>
                     </>
                 ) : (
-                    <Link to="/auth"><button className="button">Login</button></Link>
+                    <Link to="/auth"><button className="button">{t('nav.login')}</button></Link>
                 )}
             </div>
         </header>
@@ -117,102 +830,206 @@ function Header() {
 }
 
 function Home() {
-    const [featured, setFeatured] = useState([]);
-    useEffect(() => { axios.get('/api/products').then(r => setFeatured(r.data.slice(0, 6))).catch(() => { }); }, []);
+    const featured = useQuery('products?pageSize=6', signal => fetchProducts({ pageSize: 6 }, signal));
+    const { t } = useI18n();
     return (
         <div>
             <section style={{ background: 'linear-gradient(90deg,#eef2ff,#fdf2ff)', padding: 32 }}>
                 <div className="container">
-                    <h1 style={{ fontSize: 32, margin: 0 }}>Sell digital products — fast</h1>
-                    <p style={{ color: 'var(--muted)' }}>Instant downloads, license control, and secure delivery.</p>
+                    <h1 style={{ fontSize: 32, margin: 0 }}>{t('home.heroTitle')}</h1>
+                    <p style={{ color: 'var(--muted)' }}>{t('home.heroText')}</p>
                 </div>
             </section>
             <div className="container">
-                <h2>Featured</h2>
-                <div className="grid">
-                    {featured.map(p => (
-                        <div key={p.id} className="card">
-                            <img src={p.coverImageUrl || '/placeholder.png'} alt="cover" />
-                            <h3>{p.title}</h3>
-                            <p style={{ color: 'var(--muted)' }}>{p.description}</p>
-                            <div className="row" style={{ justifyContent: 'space-between', marginTop: 8 }}>
-                                <div>{formatPrice(p.price)}</div>
-                                <Link to={`/product/${p.id}`}><button className="button">View</button></Link>
-                            </div>
-                        </div>
-                    ))}
-                </div>
+                <h2>{t('home.featured')}</h2>
+                {featured.loading ? <LoadingGrid /> : featured.error ? <QueryError error={featured.error} onRetry={featured.refetch}>{t('home.loadError')}</QueryError> : (
+                    <div className="grid">
+                        {featured.data.items.slice(0, 6).map(p => <ProductCard key={p.id} product={p} />)}
+                    </div>
+                )}
             </div>
         </div>
     );
 }
 
+const PAGE_SIZE = 24;
+const SORTS = ['latest', 'price_asc', 'price_desc', 'popular', 'rating'];
+
+
+// search, sort, filters and page all live in the query string (and are sent to the API as-is),
+// so back/forward and shared links restore the same results
 function Products() {
-    const [products, setProducts] = useState([]);
-    const [q, setQ] = useState('');
-    useEffect(() => { axios.get('/api/products').then(r => setProducts(r.data)).catch(() => { }); }, []);
-    const filtered = products.filter(p => p.title.toLowerCase().includes(q.toLowerCase()));
+    const [params, setParams] = useSearchParams();
+    const { t, currency, convert, toBase } = useI18n();
+    // the price filter is typed in the selected currency but sent (and kept in the URL) in base-currency cents,
+    // which the catalog filters on
+    const fromFilter = (c) => c ? String(convert(Number(c)) / 100) : '';
+    const toFilter = (v) => v === '' ? '' : String(toBase(Math.round(parseFloat(v) * 100)));
+    const [q, setQ] = useState(params.get('q') || '');
+    const debouncedQ = useDebounce(q, 300);
+    const page = Number(params.get('page')) || 1;
+    const query = params.toString();
+
+    const update = (changes, replace = false) => {
+        const next = new URLSearchParams(params);
+        Object.entries(changes).forEach(([k, v]) => { if (v === '' || v == null || v === false) next.delete(k); else next.set(k, v); });
+        if (!('page' in changes)) next.delete('page');
+        setParams(next, { replace });
+    };
+
+    useEffect(() => { setQ(params.get('q') || ''); }, [params.get('q')]);
+    useEffect(() => { if (debouncedQ !== (params.get('q') || '')) update({ q: debouncedQ }, true); }, [debouncedQ]);
+    const categories = useQuery('categories', signal => api.get('/api/categories', { signal }).then(r => r.data), { staleTime: 5 * 60000 });
+    const results = useQuery('products?' + query, signal => fetchProducts({ ...Object.fromEntries(params), pageSize: PAGE_SIZE }, signal));
+    const result = results.data || { items: [], total: 0 };
+
+    const pages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+    const goTo = (n) => { update({ page: n > 1 ? n : '' }); window.scrollTo(0, 0); };
+    const free = params.get('free') === '1';
+
     return (
         <div className="container">
-            <h2>All Products</h2>
-            <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
-                <input className="input" placeholder="Search products..." value={q} onChange={(e) => setQ(e.target.value)} />
-                <Link to="/products?sort=latest"><button className="button ghost">Sort</button></Link>
-            </div>
-            <div className="grid">
-                {filtered.map(p => (
-                    <div key={p.id} className="card">
-                        <img src={p.coverImageUrl || '/placeholder.png'} alt="cover" />
-                        <h3>{p.title}</h3>
-                        <p style={{ color: 'var(--muted)' }}>{p.description}</p>
-                        <div className="row" style={{ justifyContent: 'space-between', marginTop: 8 }}>
-                            <div>{formatPrice(p.price)}</div>
-                            <Link to={`/product/${p.id}`}><button className="button">View</button></Link>
-                        </div>
-                    </div>
-                ))}
+            <h2>{t('products.title')}</h2>
+            <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+                <input className="input" placeholder={t('products.search')} value={q} onChange={(e) => setQ(e.target.value)} />
+                <select className="input" style={{ width: 200 }} value={params.get('sort') || 'latest'} onChange={e => update({ sort: e.target.value === 'latest' ? '' : e.target.value })}>
+                    {SORTS.map(value => <option key={value} value={value}>{t('sort.' + value)}</option>)}
+                </select>
             </div>
+            <div className="row" style={{ flexWrap: 'wrap', marginBottom: 12 }}>
+                <select className="input" style={{ width: 180 }} value={params.get('category') || ''} onChange={e => update({ category: e.target.value })}>
+                    <option value="">{t('products.allCategories')}</option>
+                    {(categories.data || []).map(c => <option key={c.slug} value={c.slug}>{c.name}</option>)}
+                </select>
+                {/* keyed on the URL value so back/forward resets the uncontrolled inputs */}
+                <input key={'min' + params.get('minPrice') + currency} className="input" style={{ width: 110 }} placeholder={t('products.min', { currency })} type="number" min="0" step="0.01" disabled={free}
+                    defaultValue={fromFilter(params.get('minPrice'))} onBlur={e => e.target.value !== fromFilter(params.get('minPrice')) && update({ minPrice: toFilter(e.target.value) })} onKeyDown={e => e.key === 'Enter' && e.target.blur()} />
+                <input key={'max' + params.get('maxPrice') + currency} className="input" style={{ width: 110 }} placeholder={t('products.max', { currency })} type="number" min="0" step="0.01" disabled={free}
+                    defaultValue={fromFilter(params.get('maxPrice'))} onBlur={e => e.target.value !== fromFilter(params.get('maxPrice')) && update({ maxPrice: toFilter(e.target.value) })} onKeyDown={e => e.key === 'Enter' && e.target.blur()} />
+                <label className="row"><input type="checkbox" checked={free} onChange={e => update({ free: e.target.checked ? '1' : '', minPrice: '', maxPrice: '' })} /> {t('products.freeOnly')}</label>
+                {params.get('tag') && <button className="badge" style={{ border: 'none', cursor: 'pointer' }} onClick={() => update({ tag: '' })}>#{params.get('tag')} ✕</button>}
+                {query && <button className="button ghost" onClick={() => { setQ(''); setParams({}); }}>{t('products.reset')}</button>}
+            </div>
+            {results.loading ? <LoadingGrid /> : results.error ? <QueryError error={results.error} onRetry={results.refetch}>{t('products.loadError')}</QueryError> : (
+                <>
+                    <p style={{ color: 'var(--muted)' }}>{t(result.total === 1 ? 'products.result' : 'products.results', { count: result.total })}</p>
+                    <div className="grid">
+                        {result.items.map(p => <ProductCard key={p.id} product={p} />)}
+                    </div>
+                    {pages > 1 && (
+                        <div className="row" style={{ justifyContent: 'center', marginTop: 16 }}>
+                            <button className="button ghost" disabled={page <= 1} onClick={() => goTo(page - 1)}>{t('products.previous')}</button>
+                            <span style={{ color: 'var(--muted)' }}>{t('products.page', { page, pages })}</span>
+                            <button className="button ghost" disabled={page >= pages} onClick={() => goTo(page + 1)}>{t('products.next')}</button>
+                        </div>
+                    )}
+                </>
+            )}
         </div>
     );
 }
 
+// '4.99' / '4,99' / '5' -> cents; null when it isn't a plain amount with at most two decimals
+function parseAmount(text) {
+    if (!/^\d+([.,]\d{1,2})?$/.test(text.trim())) return null;
+    return Math.round(parseFloat(text.trim().replace(',', '.')) * 100);
+}
+
 function ProductDetail() {
     const { id } = useParams();
-    const [product, setProduct] = useState(null);
-    const [loading, setLoading] = useState(true);
+    const query = useQuery('product:' + id, signal => api.get('/api/products/' + id, { signal }).then(r => r.data));
+    const product = query.data;
     const auth = useAuth();
-    const toast = useToast();
+    const cart = useCart();
+    const library = useLibrary();
+    const notify = useNotify();
+    const { t, price, currency, date, money, amountOf, convert } = useI18n();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const pwyw = product?.pricing === 'pwyw';
+    const [typed, setTyped] = useState(null);
+    const [amountError, setAmountError] = useState(null);
+    useEffect(() => { setTyped(null); setAmountError(null); }, [product?.id, currency]);
 
-    useEffect(() => { setLoading(true); axios.get('/api/products/' + id).then(r => { setProduct(r.data); }).catch(() => { }).finally(() => setLoading(false)); }, [id]);
+    // until the buyer types, the input shows the suggested price (or the minimum) converted with the current rates,
+    // so it follows the rates once LocaleProvider has loaded them
+    const amount = typed ?? (pwyw ? String((product.suggestedPrice != null ? convert(product.suggestedPrice) : amountOf(product)) / 100) : '');
+    const parsedAmount = parseAmount(amount);
+    // the typed amount in cents of the selected currency, or null after showing why it is not accepted
+    const chosenAmount = () => {
+        if (parsedAmount === null) { setAmountError(t('pwyw.invalid')); return null; }
+        if (parsedAmount < amountOf(product)) { setAmountError(t('pwyw.tooLow', { min: money(amountOf(product)) })); return null; }
+        return parsedAmount;
+    };
+    const addToCart = () => {
+        if (!pwyw) return cart.add(product);
+        const cents = chosenAmount();
+        if (cents !== null) cart.add(product, 1, cents);
+    };
 
     const buyNow = async () => {
-        if (!auth.token) return toast.show('Please login first');
+        const cents = pwyw ? chosenAmount() : null;
+        if (pwyw && cents === null) return;
+        if (!auth.token) return notify.info(t('checkout.loginFirst'), { action: { label: t('nav.login'), onClick: () => navigate('/auth', { state: { from: location } }) } });
+        const retry = { label: t('common.retry'), onClick: buyNow };
         try {
-            const res = await axios.post('/api/checkout', { productId: id });
-            if (res.data?.downloadUrl) {
-                // show link
-                window.location.href = res.data.downloadUrl;
-            } else {
-                toast.show(res.data?.error || 'Checkout failed');
-            }
-        } catch (e) { toast.show('Checkout error'); }
+            const line = pwyw ? { ...product, qty: 1, amount: cents, amountCurrency: currency } : { ...product, qty: 1 };
+            const { order, paymentUrl } = await placeOrder([line], null, currency);
+            if (order?.id) startPayment(order, paymentUrl, navigate);
+            else notify.error(t('checkout.failed'), { action: retry });
+        } catch (e) { notify.error(e.response?.data?.error || t('checkout.error'), { action: retry }); }
     };
 
-    if (loading) return <div className="container">Loading...</div>;
-    if (!product) return <div className="container">Product not found.</div>;
+    if (query.loading) {
+        return (
+            <div className="container" aria-busy="true">
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 320px', gap: 16 }}>
+                    <div><div className="skeleton" style={{ height: 320 }} /><div className="skeleton" style={{ height: 28, margin: '16px 0', width: '60%' }} /></div>
+                    <div className="skeleton" style={{ height: 120 }} />
+                </div>
+            </div>
+        );
+    }
+    if (query.error?.response?.status === 404) return <div className="container">{t('detail.notFound')}</div>;
+    if (query.error) return <div className="container"><QueryError error={query.error} onRetry={query.refetch}>{t('detail.loadError')}</QueryError></div>;
 
     return (
         <div className="container">
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 320px', gap: 16 }}>
                 <div>
-                    <img src={product.coverImageUrl || '/placeholder.png'} style={{ width: '100%', borderRadius: 12 }} />
+                    <ProductGallery product={product} />
                     <h2>{product.title}</h2>
+                    {product.ratingCount > 0 && <div className="row"><Stars value={product.ratingAvg} /> <span style={{ color: 'var(--muted)' }}>{Number(product.ratingAvg || 0).toFixed(1)} ({product.ratingCount})</span></div>}
                     <p style={{ color: 'var(--muted)' }}>{product.description}</p>
+                    {product.type === 'bundle' && <BundleContents bundle={product} />}
+                    <ProductPreview preview={product.preview} />
+                    <Changelog versions={product.versions} />
+                    <ProductReviews product={product} />
+                    <ProductQuestions productId={product.id} />
                 </div>
                 <aside className="card">
-                    <div style={{ fontSize: 20, fontWeight: 700 }}>{formatPrice(product.price)}</div>
+                    <div style={{ fontSize: 20, fontWeight: 700 }}>{price(product)}</div>
+                    {product.type === 'bundle' && <BundleSavings bundle={product} />}
+                    {pwyw && !library.owns(product.id) && (
+                        <div style={{ marginTop: 8 }}>
+                            <label style={{ fontSize: 13 }}>{t('pwyw.label', { currency })}</label>
+                            <input className="input" inputMode="decimal" aria-invalid={!!amountError} value={amount} onChange={e => { setTyped(e.target.value); setAmountError(null); }} />
+                            {amountError ? <div className="field-error">{amountError}</div>
+                                : <div style={{ color: 'var(--muted)', fontSize: 13 }}>{product.price === 0 ? t('pwyw.noMin') : t('pwyw.min', { min: money(amountOf(product)) })}</div>}
+                        </div>
+                    )}
+                    {product.versions?.length > 0 && <div style={{ color: 'var(--muted)', fontSize: 13 }}>{t('versions.updated', { version: product.versions[0].version, date: date(product.versions[0].releasedAt) })}</div>}
                     <div style={{ marginTop: 12 }}>
-                        <button className="button" onClick={buyNow}>{product.price === 0 ? 'Download' : 'Buy & Download'}</button>
+                        {library.owns(product.id) && product.type === 'bundle' ? (
+                            <Link to="/library"><button className="button">{t('bundle.inLibrary')}</button></Link>
+                        ) : library.owns(product.id) ? (
+                            <button className="button" onClick={() => library.download(product.id)}>{t('card.owned')}</button>
+                        ) : (
+                            <>
+                                <button className="button" onClick={buyNow}>{(pwyw ? parsedAmount === 0 : product.price === 0) ? t('common.download') : t('detail.buy')}</button>
+                                <button className="button ghost" style={{ marginInlineStart: 8 }} onClick={addToCart}>{cart.has(product.id) ? t('card.inCart') : t('card.addToCart')}</button>
+                            </>
+                        )}
                     </div>
                 </aside>
             </div>
@@ -220,42 +1037,269 @@ function ProductDetail() {
     );
 }
 
-/* ----------------- Simple Cart (in-memory) ----------------- */
+/* ----------------- Cart (persisted in localStorage, synced with /api/cart when logged in) ----------------- */
 const CartContext = createContext();
+function loadCart() { try { return JSON.parse(localStorage.getItem('cart')) || []; } catch (e) { return []; } }
+// union of both carts by product id; keep the larger qty so a re-login never doubles items
+function mergeCarts(local, remote) {
+    const merged = [...local];
+    remote.forEach(r => { const i = merged.findIndex(p => p.id === r.id); if (i === -1) merged.push(r); else merged[i] = { ...merged[i], qty: Math.max(merged[i].qty, r.qty) }; });
+    return dropBundled(merged);
+}
+// a cart line keeps what the cart and checkout show, so they work without refetching every product
+function cartLine(product, qty, chosen = {}) {
+    return { id: product.id, title: product.title, price: product.price, prices: product.prices, pricing: product.pricing, includes: product.bundleItems?.map(i => i.id), coverImageUrl: product.coverImageUrl, qty, ...chosen };
+}
+// the server cart only has product ids and quantities: fill the lines in from the catalog, dropping products that no
+// longer exist. Any other failure rejects, so the caller retries instead of merging a partial cart
+function loadRemoteCart(remote) {
+    return Promise.all(remote.map(r => api.get(`/api/products/${r.productId}`)
+        .then(res => cartLine(res.data, r.qty || 1, r.amount == null ? {} : { amount: r.amount, amountCurrency: r.amountCurrency }))
+        .catch(e => { if (e.response?.status === 404) return null; throw e; })
+    )).then(lines => lines.filter(Boolean));
+}
+// the bundle line in the cart that already grants this product, if any
+function bundleFor(items, id) { return items.find(b => b.includes?.includes(id)); }
+// a product that is also inside a bundle in the cart would be charged twice at checkout: the bundle wins
+function dropBundled(items) { return items.filter(it => !bundleFor(items, it.id)); }
+// discount a validated coupon gives on these items, in the display currency; the server recomputes it at checkout.
+// `amountOf` and `convert` come from useI18n() (fixed coupon amounts are stored in base-currency cents)
+function couponDiscount(coupon, items, amountOf, convert) {
+    if (!coupon) return 0;
+    const eligible = coupon.productIds?.length ? items.filter(it => coupon.productIds.includes(it.id)) : items;
+    const base = eligible.reduce((s, it) => s + (amountOf(it) * it.qty), 0);
+    return coupon.type === 'percent' ? Math.round(base * coupon.value / 100) : Math.min(convert(coupon.value), base);
+}
+function cartTotals(items, coupon, amountOf, convert) {
+    const subtotal = items.reduce((s, it) => s + (amountOf(it) * it.qty), 0);
+    const discount = couponDiscount(coupon, items, amountOf, convert);
+    return { subtotal, discount, total: subtotal - discount };
+}
+
 function CartProvider({ children }) {
-    const [items, setItems] = useState([]);
-    const add = (product, qty = 1) => setItems(prev => { const found = prev.find(p => p.id === product.id); if (found) return prev.map(p => p.id === product.id ? { ...p, qty: p.qty + qty } : p); return [...prev, { ...product, qty }] });
+    const auth = useAuth();
+    const i18n = useI18n();
+    const notify = useNotify();
+    const [items, setItems] = useState(loadCart);
+    const [coupon, setCoupon] = useState(() => { try { return JSON.parse(localStorage.getItem('coupon')); } catch (e) { return null; } });
+    const synced = useRef(false);
+
+    useEffect(() => { localStorage.setItem('cart', JSON.stringify(items)); }, [items]);
+    useEffect(() => { if (coupon) localStorage.setItem('coupon', JSON.stringify(coupon)); else localStorage.removeItem('coupon'); }, [coupon]);
+
+    // logging out (here or in another tab) empties the cart so the next account on this browser doesn't inherit it;
+    // the server keeps its copy for the next login. The persist effects above then clear the stored cart and coupon
+    const hadToken = useRef(!!auth.token);
+    useEffect(() => {
+        if (hadToken.current && !auth.token) { setItems([]); setCoupon(null); }
+        hadToken.current = !!auth.token;
+    }, [auth.token]);
+
+    // on login pull the server-side cart and merge it in; on logout stop syncing.
+    // Nothing is PUT until the GET succeeded, otherwise the saved cart would be overwritten with just the local lines
+    useEffect(() => {
+        synced.current = false;
+        if (!auth.token) return;
+        let cancelled = false;
+        let timer;
+        const pull = (attempt) => api.get('/api/cart').then(r => loadRemoteCart(r.data?.items || [])).then(remote => {
+            if (cancelled) return;
+            synced.current = true;
+            setItems(prev => mergeCarts(prev, remote));
+        }).catch(() => { if (!cancelled && attempt < 3) timer = setTimeout(() => pull(attempt + 1), attempt * 2000); });
+        pull(1);
+        return () => { cancelled = true; clearTimeout(timer); };
+    }, [auth.token]);
+
+    useEffect(() => {
+        if (!auth.token || !synced.current) return;
+        api.put('/api/cart', { items: items.map(it => ({ productId: it.id, qty: it.qty, amount: it.amount, amountCurrency: it.amountCurrency })) }).catch(() => { });
+    }, [items, auth.token]);
+
+    // `amount` is the pay-what-you-want price the buyer chose, in cents of the currency they were looking at.
+    // Products already granted by a bundle in the cart are not added, and adding a bundle takes out the lines it includes
+    const add = (product, qty = 1, amount = null) => {
+        const bundle = bundleFor(items, product.id);
+        if (bundle) return notify.info(i18n.t('cart.inBundle', { title: bundle.title }));
+        const includes = product.bundleItems?.map(i => i.id);
+        const replaced = includes ? items.filter(it => includes.includes(it.id)) : [];
+        if (replaced.length) notify.info(i18n.t('cart.bundleReplaces', { title: product.title, items: replaced.map(it => it.title).join(', ') }));
+        setItems(prev => {
+            const chosen = amount === null ? {} : { amount, amountCurrency: i18n.currency };
+            const found = prev.find(p => p.id === product.id);
+            if (found) return prev.map(p => p.id === product.id ? { ...p, ...chosen, qty: p.qty + qty } : p);
+            return dropBundled([...prev, cartLine(product, qty, chosen)]);
+        });
+    };
     const remove = (id) => setItems(prev => prev.filter(p => p.id !== id));
-    const clear = () => setItems([]);
-    return <CartContext.Provider value={{ items, add, remove, clear }}>{children}</CartContext.Provider>
+    const clear = () => { setItems([]); setCoupon(null); };
+    const has = (id) => items.some(p => p.id === id) || !!bundleFor(items, id);
+    const count = items.reduce((s, it) => s + it.qty, 0);
+
+    const applyCoupon = async (code) => {
+        try {
+            const res = await api.post('/api/coupons/validate', { code: code.trim().toUpperCase(), items: items.map(it => ({ productId: it.id, qty: it.qty })) });
+            if (res.data?.code) { setCoupon(res.data); return { ok: true }; }
+            return { ok: false, error: res.data?.error || i18n.t('coupon.invalid') };
+        } catch (e) { return { ok: false, error: e.response?.data?.error || i18n.t('coupon.checkFailed') }; }
+    };
+    const removeCoupon = () => setCoupon(null);
+
+    // a stored coupon may have expired or been used up since it was applied, and changing the cart can make it stop
+    // applying (minimum items, product limits): check it again on load and after every cart change. Applying a code
+    // doesn't trigger this, applyCoupon has just validated it against the same cart
+    const cartKey = items.map(it => it.id + ':' + it.qty).join(',');
+    useEffect(() => {
+        if (!coupon || !items.length) return;
+        let cancelled = false;
+        const code = coupon.code;
+        api.post('/api/coupons/validate', { code, items: items.map(it => ({ productId: it.id, qty: it.qty })) }).then(res => {
+            if (cancelled) return;
+            if (res.data?.code) setCoupon(res.data);
+            else { setCoupon(null); notify.info(i18n.t('coupon.dropped', { code, reason: res.data?.error || i18n.t('coupon.invalid') })); }
+        }).catch(e => {
+            // a 4xx is the server rejecting the code; network or server errors keep it until the next check
+            if (cancelled || !(e.response?.status >= 400 && e.response.status < 500)) return;
+            setCoupon(null);
+            notify.info(i18n.t('coupon.dropped', { code, reason: e.response.data?.error || i18n.t('coupon.invalid') }));
+        });
+        return () => { cancelled = true; };
+    }, [cartKey]);
+
+    const totals = cartTotals(items, coupon, i18n.amountOf, i18n.convert);
+    return <CartContext.Provider value={{ items, add, remove, clear, has, count, coupon, applyCoupon, removeCoupon, totals }}>{children}</CartContext.Provider>
 }
 function useCart() { return useContext(CartContext); }
 
+// POST every line item (plus the applied coupon code and the buyer's currency) to /api/checkout. The backend creates a pending
+// order and a hosted payment session: resolves to { order: { id, status, items }, paymentUrl } (no paymentUrl for free orders)
+async function placeOrder(items, couponCode, currency) {
+    const res = await api.post('/api/checkout', { items: items.map(it => ({ productId: it.id, qty: it.qty, amount: it.amount, amountCurrency: it.amountCurrency })), couponCode: couponCode || undefined, currency });
+    return res.data || {};
+}
+
+// hand the buyer over to the payment provider; it sends them back to /checkout/success or /checkout/cancel
+function startPayment(order, paymentUrl, navigate) {
+    if (paymentUrl) window.location.assign(paymentUrl);
+    else navigate(`/order/${order.id}`, { state: { order } });
+}
+
+// return routes from the provider: ?orderId=... tells us which order to show
+function CheckoutReturn({ cancelled }) {
+    const [params] = useSearchParams();
+    const { t } = useI18n();
+    const notify = useNotify();
+    const navigate = useNavigate();
+    const [retrying, setRetrying] = useState(false);
+    const orderId = params.get('orderId');
+
+    // tell the backend right away so the order stops counting as pending (the call is idempotent)
+    useEffect(() => {
+        if (cancelled && orderId) api.post(`/api/orders/${orderId}/cancel`).catch(() => { });
+    }, [cancelled, orderId]);
+
+    // a fresh payment session for the same order, straight back to the provider
+    const retry = async () => {
+        setRetrying(true);
+        try {
+            const res = await api.post(`/api/orders/${orderId}/pay`);
+            startPayment(res.data?.order || { id: orderId }, res.data?.paymentUrl, navigate);
+        } catch (e) { notify.error(e.response?.data?.error || t('payment.restartFailed')); }
+        setRetrying(false);
+    };
+
+    if (!orderId) return <Navigate to="/cart" replace />;
+    if (!cancelled) return <Navigate to={`/order/${orderId}`} replace />;
+    return (
+        <div className="container">
+            <h2>{t('payment.cancelled')}</h2>
+            <p style={{ color: 'var(--muted)' }}>{t('payment.leftPage')}</p>
+            <button className="button" onClick={retry} disabled={retrying}>{retrying ? t('payment.redirecting') : t('payment.retry')}</button>
+            <Link to="/cart"><button className="button ghost" style={{ marginInlineStart: 8 }}>{t('checkout.backToCart')}</button></Link>
+        </div>
+    );
+}
+
+function CouponInput() {
+    const cart = useCart();
+    const { t } = useI18n();
+    const [code, setCode] = useState('');
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    if (cart.coupon) {
+        return (
+            <div className="row">
+                <span className="badge">{t('coupon.applied', { code: cart.coupon.code })}</span>
+                <button className="button ghost" onClick={cart.removeCoupon}>{t('common.remove')}</button>
+            </div>
+        );
+    }
+    const apply = async (e) => {
+        e.preventDefault();
+        if (!code.trim()) return;
+        setBusy(true);
+        const r = await cart.applyCoupon(code);
+        setBusy(false);
+        if (r.ok) setCode(''); else setError(r.error);
+    };
+    return (
+        <form onSubmit={apply}>
+            <div className="row">
+                <input className="input" style={{ width: 200 }} placeholder={t('coupon.placeholder')} value={code} onChange={e => { setCode(e.target.value); setError(null); }} />
+                <button className="button ghost" type="submit" disabled={busy}>{t('coupon.apply')}</button>
+            </div>
+            {error && <div className="field-error">{error}</div>}
+        </form>
+    );
+}
+
+// subtotal, coupon discount and total lines shared by the cart and checkout
+function CartSummary() {
+    const { totals, coupon } = useCart();
+    const { t, money } = useI18n();
+    const line = { justifyContent: 'space-between', padding: '2px 0' };
+    return (
+        <div>
+            {totals.discount > 0 && (
+                <>
+                    <div className="row" style={line}><div>{t('summary.subtotal')}</div><div style={{ textDecoration: 'line-through', color: 'var(--muted)' }}>{money(totals.subtotal)}</div></div>
+                    <div className="row" style={line}><div>{t('summary.discount', { code: coupon.code })}</div><div>-{money(totals.discount)}</div></div>
+                </>
+            )}
+            <div className="row" style={{ ...line, fontWeight: 700 }}><div>{t('summary.total')}</div><div>{totals.total === 0 ? t('price.free') : money(totals.total)}</div></div>
+        </div>
+    );
+}
+
 function CartPage() {
     const { items, remove, clear } = useCart();
-    const total = items.reduce((s, it) => s + (it.price * it.qty), 0);
+    const { t, price } = useI18n();
     return (
         <div className="container">
-            <h2>Cart</h2>
-            {items.length === 0 ? <p>Your cart is empty.</p> : (
+            <h2>{t('cart.title')}</h2>
+            {items.length === 0 ? <p>{t('cart.empty')}</p> : (
                 <div>
                     {items.map(it => (
                         <div key={it.id} className="card" style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
-                            <img src={it.coverImageUrl || '/placeholder.png'} style={{ width: 100, height: 60, objectFit: 'cover' }} />
+                            <img src={it.coverImageUrl || '/placeholder.png'} alt={t('common.coverAlt')} style={{ width: 100, height: 60, objectFit: 'cover' }} />
                             <div style={{ flex: 1 }}>
                                 <div style={{ fontWeight: 700 }}>{it.title}</div>
-                                <div style={{ color: 'var(--muted)' }}>{formatPrice(it.price)} x {it.qty}</div>
+                                <div style={{ color: 'var(--muted)' }}>{price(it)} x {it.qty}</div>
                             </div>
                             <div>
-                                <button className="button ghost" onClick={() => remove(it.id)}>Remove</button>
+                                <button className="button ghost" onClick={() => remove(it.id)}>{t('common.remove')}</button>
                             </div>
                         </div>
                     ))}
-                    <div style={{ marginTop: 12, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                        <div style={{ fontWeight: 700 }}>Total: {formatPrice(total)}</div>
+                    <div style={{ marginTop: 12, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 16 }}>
+                        <CouponInput />
+                        <div style={{ minWidth: 240 }}><CartSummary /></div>
+                    </div>
+                    <div style={{ marginTop: 12, display: 'flex', justifyContent: 'flex-end' }}>
                         <div>
-                            <button className="button ghost" onClick={clear}>Clear</button>
-                            <Link to="/checkout"><button className="button" style={{ marginLeft: 8 }}>Checkout</button></Link>
+                            <button className="button ghost" onClick={clear}>{t('cart.clear')}</button>
+                            <Link to="/checkout"><button className="button" style={{ marginInlineStart: 8 }}>{t('cart.checkout')}</button></Link>
                         </div>
                     </div>
                 </div>
@@ -264,137 +1308,1804 @@ function CartPage() {
     );
 }
 
+/* ----------------- Library (purchases of the signed-in user) ----------------- */
+const LibraryContext = createContext();
+function LibraryProvider({ children }) {
+    const auth = useAuth();
+    const notify = useNotify();
+    const { t } = useI18n();
+    const [orders, setOrders] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // a failed load keeps what was loaded before and sets `error`, so the library never claims nothing was bought
+    const refresh = () => {
+        if (!auth.token) return Promise.resolve();
+        setLoading(true);
+        return api.get('/api/library').then(r => { setOrders(r.data?.orders || []); setProducts(r.data?.products || []); setError(null); })
+            .catch(e => setError(e)).finally(() => setLoading(false));
+    };
+    useEffect(() => { if (auth.token) refresh(); else { setOrders([]); setProducts([]); setError(null); } }, [auth.token]);
+
+    // products bought through a bundle come back as their own entries with the `bundleId` / `bundleTitle` they came from
+    const owns = (id) => products.some(p => String(p.productId) === String(id) || String(p.bundleId) === String(id));
+    // download links expire, so always ask the backend for a fresh one
+    const download = async (productId) => {
+        try {
+            const res = await api.post(`/api/library/${productId}/download`);
+            // the backend records which version was handed out, so refresh to clear "update available"
+            if (res.data?.downloadUrl) { window.location.href = res.data.downloadUrl; refresh(); }
+            else notify.error(res.data?.error || t('library.downloadFailed'), { action: { label: t('common.retry'), onClick: () => download(productId) } });
+        } catch (e) { notify.error(e.response?.data?.error || t('library.downloadError'), { action: { label: t('common.retry'), onClick: () => download(productId) } }); }
+    };
+    return <LibraryContext.Provider value={{ orders, products, loading, error, refresh, owns, download }}>{children}</LibraryContext.Provider>
+}
+function useLibrary() { return useContext(LibraryContext); }
+
+function LibraryPage() {
+    const library = useLibrary();
+    const { t, date, money } = useI18n();
+
+    if (library.loading && !library.products.length) return <div className="container">{t('common.loading')}</div>;
+
+    return (
+        <div className="container">
+            <h2>{t('nav.library')}</h2>
+            {library.error && <QueryError error={library.error} onRetry={library.refresh}>{t('library.loadError')}</QueryError>}
+            {library.error && !library.products.length ? null : library.products.length === 0 ? <p>{t('library.empty')} <Link to="/products">{t('library.browse')}</Link></p> : (
+                <div className="grid">
+                    {library.products.map(p => {
+                        // `downloadedVersion` is the version this buyer last downloaded; null (never downloaded, or bought
+                        // before versioning) counts as older than the latest release
+                        const latest = p.latestVersion;
+                        const update = latest && p.downloadedVersion !== latest.version;
+                        return (
+                            <div key={p.productId} className="card">
+                                <img src={p.coverImageUrl || '/placeholder.png'} alt={t('common.coverAlt')} />
+                                <h3>{p.title}</h3>
+                                <p style={{ color: 'var(--muted)' }}>{t('library.purchased', { date: date(p.purchasedAt) })}{latest && ' · ' + t('versions.current', { version: latest.version })}</p>
+                                {p.bundleTitle && <p style={{ color: 'var(--muted)', fontSize: 13, marginTop: 0 }}>{t('bundle.fromBundle', { title: p.bundleTitle })}</p>}
+                                {update && <span className="badge" style={{ background: '#dcfce7', color: '#166534' }}>{t('versions.updateAvailable', { version: latest.version })}</span>}
+                                {update && latest.notes && <details style={{ margin: '6px 0' }}><summary>{t('versions.whatsNew')}</summary><p style={{ whiteSpace: 'pre-wrap', margin: '4px 0' }}>{latest.notes}</p></details>}
+                                {p.licenseKey && <div style={{ marginBottom: 8 }}><LicenseKey value={p.licenseKey} /></div>}
+                                <button className="button" style={{ marginTop: 8 }} onClick={() => library.download(p.productId)}>{update ? t('versions.downloadLatest', { version: latest.version }) : t('common.download')}</button>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <h3 style={{ marginTop: 24 }}>{t('library.licenses')}</h3>
+            <MyLicenses />
+
+            <h3 style={{ marginTop: 24 }}>{t('library.orders')}</h3>
+            {library.orders.length === 0 ? !library.error && <p style={{ color: 'var(--muted)' }}>{t('library.noOrders')}</p> : library.orders.map(o => (
+                <div key={o.id} className="card" style={{ marginBottom: 8 }}>
+                    <div className="row" style={{ justifyContent: 'space-between' }}>
+                        <Link to={`/order/${o.id}`} style={{ fontWeight: 700 }}>{t('library.order', { id: o.id })}</Link>
+                        <div style={{ color: 'var(--muted)' }}>{date(o.createdAt)} · {o.total === 0 ? t('price.free') : money(o.total, o.currency || BASE_CURRENCY)}</div>
+                    </div>
+                    <div style={{ color: 'var(--muted)' }}>{o.items.map(it => it.title).join(', ')}</div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
 /* ----------------- Auth Page ----------------- */
+const EMAIL_RE = /^\S+@\S+\.\S+$/;
+
 function AuthPage() {
     const [mode, setMode] = useState('login');
     const [email, setEmail] = useState('');
     const [pass, setPass] = useState('');
+    const [errors, setErrors] = useState({});
+    const [busy, setBusy] = useState(false);
     const auth = useAuth();
+    const notify = useNotify();
+    const { t } = useI18n();
     const navigate = useNavigate();
+    const location = useLocation();
+    // RequireAuth sends us the page the user was trying to open
+    const from = location.state?.from ? location.state.from.pathname + (location.state.from.search || '') : '/';
 
     const submit = async (e) => {
         e.preventDefault();
-        if (mode === 'login') {
-            const r = await auth.login(email, pass);
-            if (r.ok) navigate('/'); else alert(r.error);
-        } else {
-            const r = await auth.register(email, pass);
-            if (r.ok) navigate('/'); else alert(r.error);
-        }
+        const errs = {};
+        if (!EMAIL_RE.test(email)) errs.email = t('auth.invalidEmail');
+        // strength rules only apply to new passwords; older accounts may still log in with weaker ones
+        const passError = mode === 'login' ? (pass ? null : t('auth.passwordRequired')) : passwordError(pass, t);
+        if (passError) errs.password = passError;
+        setErrors(errs);
+        if (Object.keys(errs).length) return;
+        setBusy(true);
+        const r = mode === 'login' ? await auth.login(email, pass) : await auth.register(email, pass);
+        setBusy(false);
+        if (r.ok) {
+            notify.success(mode === 'login' ? t('auth.welcome') : t('auth.verifySent', { email }));
+            navigate(from, { replace: true });
+        } else setErrors({ ...r.errors, form: r.errors ? null : r.error });
     };
+    const switchMode = () => { setMode(mode === 'login' ? 'register' : 'login'); setErrors({}); };
 
     return (
         <div className="container">
-            <h2>{mode === 'login' ? 'Login' : 'Register'}</h2>
-            <form onSubmit={submit} style={{ maxWidth: 420 }}>
-                <input className="input" placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} />
-                <input className="input" placeholder="Password" type="password" value={pass} onChange={e => setPass(e.target.value)} />
+            <h2>{mode === 'login' ? t('auth.login') : t('auth.register')}</h2>
+            <form onSubmit={submit} style={{ maxWidth: 420 }} noValidate>
+                {errors.form && <div className="field-error" role="alert">{errors.form}</div>}
+                <input className="input" placeholder={t('auth.email')} type="email" aria-invalid={!!errors.email} value={email} onChange={e => { setEmail(e.target.value); setErrors({ ...errors, email: null }); }} />
+                {errors.email && <div className="field-error">{errors.email}</div>}
+                <PasswordField placeholder={t('auth.password')} autoComplete={mode === 'login' ? 'current-password' : 'new-password'} strength={mode === 'register'}
+                    value={pass} error={errors.password} onChange={v => { setPass(v); setErrors({ ...errors, password: null }); }} />
                 <div style={{ marginTop: 8 }}>
-                    <button className="button" type="submit">{mode === 'login' ? 'Login' : 'Register'}</button>
-                    <button type="button" className="button ghost" style={{ marginLeft: 8 }} onClick={() => setMode(mode === 'login' ? 'register' : 'login')}>{mode === 'login' ? 'Switch to Register' : 'Switch to Login'}</button>
+                    <button className="button" type="submit" disabled={busy}>{mode === 'login' ? t('auth.login') : t('auth.register')}</button>
+                    <button type="button" className="button ghost" style={{ marginInlineStart: 8 }} onClick={switchMode}>{mode === 'login' ? t('auth.toRegister') : t('auth.toLogin')}</button>
                 </div>
+                {mode === 'login' && <p><Link to="/forgot-password">{t('auth.forgot')}</Link></p>}
             </form>
         </div>
     );
 }
 
-/* ----------------- Admin Page (frontend for admin API) ----------------- */
-function AdminPage() {
-    const auth = useAuth();
-    const [products, setProducts] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [form, setForm] = useState({ title: '', description: '', price: 0, coverImageUrl: '' });
+/* ----------------- Account (password reset, email verification, settings) ----------------- */
+const STRENGTH_LABELS = ['password.weak', 'password.weak', 'password.fair', 'password.good', 'password.strong'];
+const STRENGTH_COLORS = ['#dc2626', '#dc2626', '#f59e0b', '#65a30d', '#16a34a'];
 
-    useEffect(() => { load(); }, []);
-    const load = () => axios.get('/api/products').then(r => { setProducts(r.data); setLoading(false); }).catch(() => setLoading(false));
+// score 0-4 for the meter; `problems` are message keys for the rules the backend also enforces
+function passwordStrength(pw) {
+    const problems = [];
+    if (pw.length < 8) problems.push('password.tooShort');
+    if (!/[A-Za-z]/.test(pw) || !/\d/.test(pw)) problems.push('password.mix');
+    const score = [pw.length >= 8, pw.length >= 12, /[a-z]/.test(pw) && /[A-Z]/.test(pw), /\d/.test(pw) && /[^A-Za-z0-9]/.test(pw)].filter(Boolean).length;
+    return { score: problems.length ? Math.min(score, 1) : score, problems };
+}
+function passwordError(pw, t) {
+    if (!pw) return t('auth.passwordRequired');
+    const { problems } = passwordStrength(pw);
+    return problems.length ? t(problems[0]) : null;
+}
 
-    const create = async (e) => {
-        e.preventDefault();
-        if (!auth.token) return alert('Login as admin');
-        const payload = { ...form, price: Number(form.price) };
-        const res = await axios.post('/api/admin/products', payload, { headers: { Authorization: 'Bearer ' + auth.token } }).catch(e => e.response?.data);
-        if (res?.data?.id) { alert('Created'); load(); } else alert('Create failed');
-    };
+function PasswordField({ value, onChange, error, placeholder, autoComplete, strength }) {
+    const { t } = useI18n();
+    const [visible, setVisible] = useState(false);
+    const s = strength && value ? passwordStrength(value) : null;
+    return (
+        <div>
+            <div className="row" style={{ gap: 4 }}>
+                <input className="input" type={visible ? 'text' : 'password'} placeholder={placeholder} autoComplete={autoComplete} aria-invalid={!!error} value={value} onChange={e => onChange(e.target.value)} />
+                <button type="button" className="button ghost" onClick={() => setVisible(!visible)}>{visible ? t('password.hide') : t('password.show')}</button>
+            </div>
+            {s && (
+                <>
+                    <div className="progress" aria-hidden="true"><div style={{ width: (s.score + 1) * 20 + '%', background: STRENGTH_COLORS[s.score] }} /></div>
+                    <div style={{ color: 'var(--muted)', fontSize: 13 }}>{t('password.strength', { label: t(STRENGTH_LABELS[s.score]) })}</div>
+                </>
+            )}
+            {error && <div className="field-error">{error}</div>}
+        </div>
+    );
+}
+
+function ForgotPasswordPage() {
+    const { t } = useI18n();
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState(null);
+    const [sent, setSent] = useState(false);
+    const [busy, setBusy] = useState(false);
 
-    const uploadFile = async (id, file) => {
-        const fd = new FormData(); fd.append('file', file);
-        const res = await axios.post(`/api/admin/products/${id}/file`, fd, { headers: { Authorization: 'Bearer ' + auth.token } }).catch(e => e.response?.data);
-        if (res?.data?.filePath) alert('Uploaded'); else alert('Upload failed');
-        load();
+    const submit = async (e) => {
+        e.preventDefault();
+        if (!EMAIL_RE.test(email)) return setError(t('auth.invalidEmail'));
+        setBusy(true);
+        // the backend answers the same whether or not the address has an account
+        const res = await api.post('/api/auth/forgot-password', { email }).catch(e => e.response);
+        setBusy(false);
+        if (res?.status >= 200 && res.status < 300) setSent(true);
+        else setError(res?.data?.error || t('error.network'));
     };
 
     return (
-        <div className="container">
-            <h2>Admin</h2>
-            <div style={{ display: 'grid', gridTemplateColumns: '1fr 360px', gap: 16 }}>
-                <div>
-                    <h3>Create Product</h3>
-                    <form className="card" onSubmit={create}>
-                        <input className="input" placeholder="Title" value={form.title} onChange={e => setForm({ ...form, title: e.target.value })} />
-                        <textarea className="input" placeholder="Description" value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} />
-                        <input className="input" placeholder="Price (in cents, e.g. 799 = $7.99)" value={form.price} onChange={e => setForm({ ...form, price: e.target.value })} />
-                        <input className="input" placeholder="Cover Image URL" value={form.coverImageUrl} onChange={e => setForm({ ...form, coverImageUrl: e.target.value })} />
-                        <div style={{ marginTop: 8 }}><button className="button" type="submit">Create</button></div>
-                    </form>
-
-                    <h3 style={{ marginTop: 16 }}>Your Products</h3>
-                    {loading ? <p>Loading...</p> : (
-                        <div className="grid">
-                            {products.map(p => (
-                                <div key={p.id} className="card">
-                                    <img src={p.coverImageUrl || '/placeholder.png'} />
-                                    <h4>{p.title}</h4>
-                                    <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-                                        <input type="file" onChange={e => uploadFile(p.id, e.target.files[0])} />
-                                    </div>
-                                </div>
-                            ))}
-                        </div>
-                    )}
-                </div>
-
-                <aside>
-                    <div className="card">
-                        <h4>Admin Tips</h4>
-                        <p style={{ color: 'var(--muted)' }}>Default admin (change in backend .env): admin@example.com / admin123</p>
-                        <p style={{ color: 'var(--muted)' }}>Files uploaded via the file input will be attached to products for download.</p>
-                    </div>
-                </aside>
-            </div>
+        <div className="container" style={{ maxWidth: 420 }}>
+            <h2>{t('forgot.title')}</h2>
+            {sent ? <p>{t('forgot.sent', { email })}</p> : (
+                <form onSubmit={submit} noValidate>
+                    <p style={{ color: 'var(--muted)' }}>{t('forgot.intro')}</p>
+                    <input className="input" placeholder={t('auth.email')} type="email" autoComplete="email" aria-invalid={!!error} value={email} onChange={e => { setEmail(e.target.value); setError(null); }} />
+                    {error && <div className="field-error">{error}</div>}
+                    <button className="button" type="submit" disabled={busy} style={{ marginTop: 8 }}>{t('forgot.submit')}</button>
+                </form>
+            )}
+            <p><Link to="/auth">{t('account.backToLogin')}</Link></p>
         </div>
     );
 }
 
-/* ----------------- Checkout (simple) ----------------- */
-function Checkout() {
-    // For simplicity, assume cart has single item and we call /api/checkout
-    const { items, clear } = useCart();
-    const auth = useAuth();
+function ResetPasswordPage() {
+    const { token } = useParams();
+    const { t } = useI18n();
+    const notify = useNotify();
     const navigate = useNavigate();
+    const [pass, setPass] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [errors, setErrors] = useState({});
+    const [busy, setBusy] = useState(false);
 
-    const doCheckout = async () => {
-        if (!auth.token) return alert('Login first');
-        if (!items.length) return alert('Cart empty');
-        try {
-            // naive: checkout first item
-            const res = await axios.post('/api/checkout', { productId: items[0].id });
-            if (res.data?.downloadUrl) {
-                window.location.href = res.data.downloadUrl;
-                clear();
-            } else alert(res.data?.error || 'Checkout failed');
-        } catch (e) { alert('Checkout error'); }
+    const submit = async (e) => {
+        e.preventDefault();
+        const errs = {};
+        const passError = passwordError(pass, t);
+        if (passError) errs.password = passError;
+        else if (confirm !== pass) errs.confirm = t('password.mismatch');
+        setErrors(errs);
+        if (Object.keys(errs).length) return;
+        setBusy(true);
+        const res = await api.post('/api/auth/reset-password', { token, password: pass }).catch(e => e.response);
+        setBusy(false);
+        if (res?.status >= 200 && res.status < 300) { notify.success(t('reset.done')); navigate('/auth', { replace: true }); }
+        else setErrors({ ...res?.data?.errors, form: res?.data?.errors ? null : res?.data?.error || t('reset.invalid') });
     };
 
     return (
-        <div className="container">
-            <h2>Checkout</h2>
-            <p>Items: {items.length}</p>
-            <button className="button" onClick={doCheckout}>Pay & Get Download</button>
-            <button className="button ghost" style={{ marginLeft: 8 }} onClick={() => navigate('/cart')}>Back to Cart</button>
+        <div className="container" style={{ maxWidth: 420 }}>
+            <h2>{t('reset.title')}</h2>
+            <form onSubmit={submit} noValidate>
+                {errors.form && <div className="field-error" role="alert">{errors.form} <Link to="/forgot-password">{t('reset.again')}</Link></div>}
+                <PasswordField placeholder={t('account.newPassword')} autoComplete="new-password" strength value={pass} error={errors.password} onChange={v => { setPass(v); setErrors({ ...errors, password: null }); }} />
+                <PasswordField placeholder={t('account.confirmPassword')} autoComplete="new-password" value={confirm} error={errors.confirm} onChange={v => { setConfirm(v); setErrors({ ...errors, confirm: null }); }} />
+                <button className="button" type="submit" disabled={busy} style={{ marginTop: 8 }}>{t('reset.submit')}</button>
+            </form>
         </div>
     );
 }
 
+// target of the link in the verification email (sent after register and after an email change)
+function VerifyEmailPage() {
+    const { token } = useParams();
+    const auth = useAuth();
+    const { t } = useI18n();
+    const [state, setState] = useState('verifying'); // verifying | done | error
+    const [error, setError] = useState(null);
+    const started = useRef(null);
+
+    useEffect(() => {
+        // tokens are single-use, so never send the same one twice (StrictMode runs effects twice in development);
+        // following a newer link while on this page changes the token and verifies that one
+        if (started.current === token) return;
+        started.current = token;
+        setState('verifying');
+        setError(null);
+        api.post('/api/auth/verify-email', { token })
+            .then(() => { setState('done'); if (auth.token) auth.refreshUser(); })
+            .catch(e => { setError(e.response?.data?.error || null); setState('error'); });
+    }, [token]);
+
+    return (
+        <div className="container">
+            <h2>{t('verify.title')}</h2>
+            {state === 'verifying' && <p>{t('common.loading')}</p>}
+            {state === 'done' && <p>{t('verify.done')} <Link to={auth.token ? '/' : '/auth'}>{auth.token ? t('order.continue') : t('nav.login')}</Link></p>}
+            {state === 'error' && <p className="field-error" role="alert">{error || t('verify.invalid')} {auth.token && t('verify.requestNew')}</p>}
+        </div>
+    );
+}
+
+function VerifyEmailNotice() {
+    const auth = useAuth();
+    const notify = useNotify();
+    const { t } = useI18n();
+    const [sent, setSent] = useState(false);
+    if (auth.user?.emailVerified !== false) return null;
+
+    const resend = async () => {
+        const res = await api.post('/api/auth/resend-verification').catch(e => e.response);
+        if (res?.status >= 200 && res.status < 300) setSent(true);
+        else notify.error(res?.data?.error || t('verify.resendFailed'));
+    };
+    return (
+        <div className="notice" role="status">
+            <span>{t('verify.banner', { email: auth.email })}</span>
+            {sent ? <span>{t('verify.resent')}</span> : <button className="button ghost" onClick={resend}>{t('verify.resend')}</button>}
+        </div>
+    );
+}
+
+// shared submit handling for the account forms: field errors from the server show inline, anything else as a toast
+async function accountRequest(request, setErrors, notify, failure) {
+    const res = await request().catch(e => e.response);
+    if (res?.status >= 200 && res.status < 300) return true;
+    if (res?.data?.errors) setErrors(res.data.errors);
+    else notify.error(res?.data?.error || failure);
+    return false;
+}
+
+function AccountEmailForm() {
+    const auth = useAuth();
+    const notify = useNotify();
+    const { t } = useI18n();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [errors, setErrors] = useState({});
+    const [busy, setBusy] = useState(false);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        const errs = {};
+        if (!EMAIL_RE.test(email)) errs.email = t('auth.invalidEmail');
+        else if (email === auth.email) errs.email = t('account.sameEmail');
+        if (!password) errs.currentPassword = t('auth.passwordRequired');
+        setErrors(errs);
+        if (Object.keys(errs).length) return;
+        setBusy(true);
+        const ok = await accountRequest(() => api.put('/api/me/email', { email, currentPassword: password }), setErrors, notify, t('account.emailFailed'));
+        setBusy(false);
+        if (ok) { notify.success(t('account.emailChanged', { email })); setEmail(''); setPassword(''); auth.refreshUser(); }
+    };
+
+    return (
+        <form className="card" onSubmit={submit} noValidate>
+            <h3>{t('account.email')}</h3>
+            <p className="row">{auth.email} <span className="badge">{auth.user?.emailVerified === false ? t('account.unverified') : t('account.verified')}</span></p>
+            <input className="input" placeholder={t('account.newEmail')} type="email" autoComplete="email" aria-invalid={!!errors.email} value={email} onChange={e => { setEmail(e.target.value); setErrors({ ...errors, email: null }); }} />
+            {errors.email && <div className="field-error">{errors.email}</div>}
+            <PasswordField placeholder={t('account.currentPassword')} autoComplete="current-password" value={password} error={errors.currentPassword} onChange={v => { setPassword(v); setErrors({ ...errors, currentPassword: null }); }} />
+            <button className="button" type="submit" disabled={busy} style={{ marginTop: 8 }}>{t('account.changeEmail')}</button>
+        </form>
+    );
+}
+
+function AccountPasswordForm() {
+    const notify = useNotify();
+    const { t } = useI18n();
+    const [form, setForm] = useState({ currentPassword: '', password: '', confirm: '' });
+    const [errors, setErrors] = useState({});
+    const [busy, setBusy] = useState(false);
+    const field = (name) => ({ value: form[name], error: errors[name], onChange: v => { setForm({ ...form, [name]: v }); setErrors({ ...errors, [name]: null }); } });
+
+    const submit = async (e) => {
+        e.preventDefault();
+        const errs = {};
+        if (!form.currentPassword) errs.currentPassword = t('auth.passwordRequired');
+        const passError = passwordError(form.password, t);
+        if (passError) errs.password = passError;
+        else if (form.confirm !== form.password) errs.confirm = t('password.mismatch');
+        setErrors(errs);
+        if (Object.keys(errs).length) return;
+        setBusy(true);
+        const ok = await accountRequest(() => api.put('/api/me/password', { currentPassword: form.currentPassword, password: form.password }), setErrors, notify, t('account.passwordFailed'));
+        setBusy(false);
+        if (ok) { notify.success(t('account.passwordChanged')); setForm({ currentPassword: '', password: '', confirm: '' }); }
+    };
+
+    return (
+        <form className="card" onSubmit={submit} noValidate>
+            <h3>{t('auth.password')}</h3>
+            <PasswordField placeholder={t('account.currentPassword')} autoComplete="current-password" {...field('currentPassword')} />
+            <PasswordField placeholder={t('account.newPassword')} autoComplete="new-password" strength {...field('password')} />
+            <PasswordField placeholder={t('account.confirmPassword')} autoComplete="new-password" {...field('confirm')} />
+            <button className="button" type="submit" disabled={busy} style={{ marginTop: 8 }}>{t('account.changePassword')}</button>
+        </form>
+    );
+}
+
+function AccountDeleteForm() {
+    const auth = useAuth();
+    const notify = useNotify();
+    const { t } = useI18n();
+    const navigate = useNavigate();
+    const [password, setPassword] = useState('');
+    const [errors, setErrors] = useState({});
+    const [busy, setBusy] = useState(false);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        if (!password) return setErrors({ currentPassword: t('auth.passwordRequired') });
+        if (!window.confirm(t('account.deleteConfirm'))) return;
+        setBusy(true);
+        const ok = await accountRequest(() => api.delete('/api/me', { data: { currentPassword: password } }), setErrors, notify, t('account.deleteFailed'));
+        setBusy(false);
+        if (ok) { auth.logout(); notify.info(t('account.deleted')); navigate('/', { replace: true }); }
+    };
+
+    return (
+        <form className="card" onSubmit={submit} noValidate style={{ borderColor: '#fecaca' }}>
+            <h3>{t('account.delete')}</h3>
+            <p style={{ color: 'var(--muted)' }}>{t('account.deleteWarning')}</p>
+            <PasswordField placeholder={t('account.currentPassword')} autoComplete="current-password" value={password} error={errors.currentPassword} onChange={v => { setPassword(v); setErrors({}); }} />
+            <button className="button" type="submit" disabled={busy} style={{ marginTop: 8, background: '#dc2626' }}>{t('account.delete')}</button>
+        </form>
+    );
+}
+
+function AccountPage() {
+    const { t } = useI18n();
+    return (
+        <div className="container" style={{ maxWidth: 520 }}>
+            <h2>{t('account.title')}</h2>
+            <div style={{ display: 'grid', gap: 16 }}>
+                <AccountEmailForm />
+                <AccountPasswordForm />
+                <AccountDeleteForm />
+            </div>
+        </div>
+    );
+}
+
+// development only: the dev backend (or mock-server.mjs) catches outgoing mail (verification and reset links) instead of sending it
+function DevOutbox() {
+    const { t, locale } = useI18n();
+    const mail = useQuery('dev:outbox', signal => api.get('/api/dev/outbox', { signal }).then(r => r.data), { staleTime: 0 });
+    const clear = async () => { await api.delete('/api/dev/outbox').catch(() => { }); invalidateQueries('dev:outbox'); };
+    // links to this app stay inside the router so the session is kept
+    const linkify = (text) => text.split(/(https?:\/\/\S+)/).map((part, i) => {
+        if (!/^https?:\/\//.test(part)) return part;
+        return part.startsWith(window.location.origin) ? <Link key={i} to={part.slice(window.location.origin.length)}>{part}</Link> : <a key={i} href={part}>{part}</a>;
+    });
+
+    return (
+        <div className="container">
+            <div className="row" style={{ justifyContent: 'space-between' }}>
+                <h2>{t('outbox.title')}</h2>
+                <div className="row">
+                    <button className="button ghost" onClick={mail.refetch}>{t('outbox.refresh')}</button>
+                    <button className="button ghost" onClick={clear}>{t('outbox.clear')}</button>
+                </div>
+            </div>
+            {mail.loading ? <p>{t('common.loading')}</p> : mail.error ? <QueryError error={mail.error} onRetry={mail.refetch}>{t('outbox.loadError')}</QueryError> : (
+                mail.data.length === 0 ? <p style={{ color: 'var(--muted)' }}>{t('outbox.empty')}</p> : mail.data.map(m => (
+                    <div key={m.id} className="card" style={{ marginBottom: 8 }}>
+                        <div className="row" style={{ justifyContent: 'space-between' }}>
+                            <strong>{m.subject}</strong>
+                            <span style={{ color: 'var(--muted)', fontSize: 13 }}>{t('outbox.to', { to: m.to, date: new Date(m.sentAt).toLocaleString(locale) })}</span>
+                        </div>
+                        <p style={{ whiteSpace: 'pre-wrap' }}>{linkify(m.text || '')}</p>
+                    </div>
+                ))
+            )}
+        </div>
+    );
+}
+
+/* ----------------- Admin Page (frontend for admin API) ----------------- */
+const emptyProduct = { title: '', description: '', price: 0, pricing: 'fixed', suggestedPrice: '', coverImageUrl: '', status: 'draft' };
+
+// returns { field: message } for every invalid field; empty object means the form can be sent
+function validateProduct(form, t) {
+    const errors = {};
+    if (!form.title.trim()) errors.title = t('admin.product.titleRequired');
+    else if (form.title.length > 120) errors.title = t('admin.product.titleLong');
+    if (!/^\d+$/.test(String(form.price).trim())) errors.price = t('admin.product.priceInvalid');
+    if (form.pricing === 'pwyw' && form.suggestedPrice !== '') {
+        if (!/^\d+$/.test(String(form.suggestedPrice).trim())) errors.suggestedPrice = t('admin.product.suggestedInvalid');
+        else if (!errors.price && Number(form.suggestedPrice) < Number(form.price)) errors.suggestedPrice = t('admin.product.suggestedLow');
+    }
+    if (form.coverImageUrl && !/^https?:\/\/\S+$/.test(form.coverImageUrl)) errors.coverImageUrl = t('admin.coverInvalid');
+    return errors;
+}
+
+function ProductForm({ initial = emptyProduct, submitLabel, onSubmit, onCancel, resetOnSubmit }) {
+    const { t } = useI18n();
+    const [form, setForm] = useState(initial);
+    const [errors, setErrors] = useState({});
+    const [busy, setBusy] = useState(false);
+    const field = (name) => ({ value: form[name], onChange: e => { setForm({ ...form, [name]: e.target.value }); setErrors({ ...errors, [name]: undefined }); } });
+
+    const submit = async (e) => {
+        e.preventDefault();
+        const errs = validateProduct(form, t);
+        setErrors(errs);
+        if (Object.keys(errs).length) return;
+        setBusy(true);
+        // onSubmit resolves to true, or to the server's { field: message } errors to show inline
+        const suggestedPrice = form.pricing === 'pwyw' && form.suggestedPrice !== '' ? Number(form.suggestedPrice) : null;
+        const result = await onSubmit({ ...form, title: form.title.trim(), price: Number(form.price), suggestedPrice });
+        setBusy(false);
+        if (result === true && resetOnSubmit) setForm(initial);
+        else if (result && result !== true) setErrors(result);
+    };
+
+    return (
+        <form className="card" onSubmit={submit} noValidate>
+            <input className="input" placeholder={t('admin.product.title')} {...field('title')} />
+            {errors.title && <div className="field-error">{errors.title}</div>}
+            <textarea className="input" placeholder={t('admin.product.description')} {...field('description')} />
+            <select className="input" {...field('pricing')}>
+                <option value="fixed">{t('admin.product.fixed')}</option>
+                <option value="pwyw">{t('admin.product.pwyw')}</option>
+            </select>
+            <input className="input" placeholder={form.pricing === 'pwyw' ? t('admin.product.minPrice') : t('admin.product.price')} inputMode="numeric" {...field('price')} />
+            {errors.price ? <div className="field-error">{errors.price}</div> : /^\d+$/.test(String(form.price)) && <div style={{ color: 'var(--muted)', fontSize: 13 }}>{t('admin.product.shownAs', { price: formatPrice({ pricing: form.pricing, price: Number(form.price) }) })}</div>}
+            {form.pricing === 'pwyw' && <input className="input" placeholder={t('admin.product.suggested')} inputMode="numeric" {...field('suggestedPrice')} />}
+            {errors.suggestedPrice && <div className="field-error">{errors.suggestedPrice}</div>}
+            <input className="input" placeholder={t('admin.coverUrl')} {...field('coverImageUrl')} />
+            {errors.coverImageUrl && <div className="field-error">{errors.coverImageUrl}</div>}
+            <label className="row" style={{ marginTop: 8 }}>
+                <input type="checkbox" checked={form.status === 'published'} onChange={e => setForm({ ...form, status: e.target.checked ? 'published' : 'draft' })} /> {t('admin.published')}
+            </label>
+            <div style={{ marginTop: 8 }}>
+                <button className="button" type="submit" disabled={busy}>{busy ? t('admin.saving') : submitLabel}</button>
+                {onCancel && <button type="button" className="button ghost" style={{ marginInlineStart: 8 }} onClick={onCancel}>{t('common.cancel')}</button>}
+            </div>
+        </form>
+    );
+}
+
+// drag-and-drop / click-to-pick uploader with progress, cancel and retry; `fields` are sent along with the file
+function FileUpload({ url, fields, accept, disabled, label, onUploaded }) {
+    const { t } = useI18n();
+    const [file, setFile] = useState(null);
+    const [progress, setProgress] = useState(0);
+    const [state, setState] = useState('idle'); // idle | uploading | error | done
+    const [dragging, setDragging] = useState(false);
+    const controller = useRef(null);
+    const input = useRef(null);
+
+    useEffect(() => () => controller.current?.abort(), []);
+
+    const upload = async (f) => {
+        setFile(f); setProgress(0); setState('uploading');
+        controller.current = new AbortController();
+        const fd = new FormData(); fd.append('file', f);
+        Object.entries(fields || {}).forEach(([k, v]) => fd.append(k, v));
+        try {
+            // no timeout: large files can take minutes, the user can cancel instead
+            const res = await api.post(url, fd, {
+                signal: controller.current.signal,
+                timeout: 0,
+                onUploadProgress: (e) => { if (e.total) setProgress(Math.round((e.loaded / e.total) * 100)); }
+            });
+            if (!res.data?.id) throw new Error('Upload failed');
+            setState('done');
+            onUploaded(res.data);
+        } catch (e) {
+            setState(axios.isCancel(e) ? 'idle' : 'error');
+        }
+    };
+    const cancel = () => controller.current?.abort();
+    const onDrop = (e) => { e.preventDefault(); setDragging(false); const f = e.dataTransfer.files[0]; if (f && !disabled) upload(f); };
+
+    if (state === 'uploading') {
+        return (
+            <div>
+                <div style={{ fontSize: 13 }}>{file.name} — {progress}%</div>
+                <div className="progress"><div style={{ width: progress + '%' }} /></div>
+                <button className="button ghost" onClick={cancel}>{t('common.cancel')}</button>
+            </div>
+        );
+    }
+    return (
+        <div>
+            <div className={'dropzone' + (dragging ? ' active' : '')} style={disabled ? { opacity: 0.5, cursor: 'not-allowed' } : undefined} onClick={() => !disabled && input.current.click()}
+                onDragOver={e => { e.preventDefault(); setDragging(!disabled); }} onDragLeave={() => setDragging(false)} onDrop={onDrop}>
+                {label || t('upload.drop')}
+                <input ref={input} type="file" accept={accept} hidden onChange={e => { if (e.target.files[0]) upload(e.target.files[0]); e.target.value = ''; }} />
+            </div>
+            {state === 'error' && (
+                <div className="row" style={{ marginTop: 4 }}>
+                    <span className="field-error">{t('upload.failed', { name: file.name })}</span>
+                    <button className="button ghost" disabled={disabled} onClick={() => upload(file)}>{t('common.retry')}</button>
+                </div>
+            )}
+            {state === 'done' && <div style={{ color: 'var(--muted)', fontSize: 13, marginTop: 4 }}>{t('upload.done', { name: file.name })}</div>}
+        </div>
+    );
+}
+
+const UNDO_MS = 6000;
+
+function AdminProductCard({ product: p, onChanged }) {
+    const [editing, setEditing] = useState(false);
+    const [managingFiles, setManagingFiles] = useState(false);
+    const [deleting, setDeleting] = useState(false);
+    const notify = useNotify();
+    const { t } = useI18n();
+
+    const save = async (payload) => {
+        const res = await api.put(`/api/admin/products/${p.id}`, payload).catch(e => e.response);
+        if (res?.data?.id) { setEditing(false); onChanged(); notify.success(t('admin.product.saved', { title: res.data.title })); return true; }
+        notify.error(res?.data?.error || t('admin.updateFailed'));
+        return res?.data?.errors || false;
+    };
+    const toggleStatus = () => save({ status: p.status === 'published' ? 'draft' : 'published' });
+    // hide the card right away and only send the DELETE once the "Undo" toast has run out (its countdown starts when
+    // it is shown, which may be later if other toasts are queued). Leaving the page before that asks for confirmation,
+    // since the delete would never be sent
+    const remove = () => {
+        setDeleting(true);
+        const warn = (e) => { e.preventDefault(); e.returnValue = ''; };
+        window.addEventListener('beforeunload', warn);
+        notify.info(t('admin.product.deleted', { title: p.title }), {
+            timeout: UNDO_MS,
+            action: { label: t('admin.undo'), onClick: () => { window.removeEventListener('beforeunload', warn); setDeleting(false); } },
+            onExpire: async () => {
+                const res = await api.delete(`/api/admin/products/${p.id}`).catch(e => e.response);
+                window.removeEventListener('beforeunload', warn);
+                if (res?.status >= 200 && res.status < 300) onChanged();
+                else { setDeleting(false); notify.error(res?.data?.error || t('admin.deleteFailed')); }
+            }
+        });
+    };
+
+    if (deleting) return null;
+
+    if (editing) return <ProductForm initial={{ ...emptyProduct, ...p, price: String(p.price), suggestedPrice: p.suggestedPrice == null ? '' : String(p.suggestedPrice) }} submitLabel={t('admin.save')} onSubmit={save} onCancel={() => setEditing(false)} />;
+
+    return (
+        <div className="card">
+            <img src={p.coverImageUrl || '/placeholder.png'} />
+            <div className="row" style={{ justifyContent: 'space-between' }}>
+                <h4>{p.title}</h4>
+                <span className="badge">{p.status === 'published' ? t('admin.published') : t('admin.draft')}</span>
+            </div>
+            <div style={{ color: 'var(--muted)', fontSize: 13, marginBottom: 8 }}>
+                {/* products whose file was attached before versioning only have fileName / fileSize */}
+                {formatPrice(p)} · {p.versions?.length ? `v${p.versions[0].version} · ${p.versions[0].fileName} (${formatBytes(p.versions[0].fileSize)})`
+                    : p.fileName ? `${p.fileName} (${formatBytes(p.fileSize)})` : t('admin.product.noFile')}
+                {p.media?.length > 0 && ' · ' + t('admin.product.galleryCount', { count: p.media.length })}{p.preview && ' · ' + t('admin.product.hasPreview')}
+            </div>
+            <div className="row" style={{ marginTop: 8, flexWrap: 'wrap' }}>
+                <button className="button ghost" onClick={() => setManagingFiles(!managingFiles)}>{managingFiles ? t('admin.product.closeFiles') : t('admin.product.files')}</button>
+                <button className="button ghost" onClick={() => setEditing(true)}>{t('admin.edit')}</button>
+                <button className="button ghost" onClick={toggleStatus}>{p.status === 'published' ? t('admin.unpublish') : t('admin.publish')}</button>
+                <button className="button ghost" onClick={remove}>{t('admin.delete')}</button>
+            </div>
+            {managingFiles && <AdminProductFiles product={p} onChanged={onChanged} />}
+        </div>
+    );
+}
+
+// the admin listing includes drafts and file metadata, unlike the public /api/products
+function useAdminProducts() { return useQuery('admin:products', signal => api.get('/api/admin/products', { signal }).then(r => r.data)); }
+
+function AdminPage() {
+    const products = useAdminProducts();
+    const notify = useNotify();
+    const { t } = useI18n();
+
+    const create = async (payload) => {
+        const res = await api.post('/api/admin/products', payload).catch(e => e.response);
+        if (res?.data?.id) { invalidateCatalog(); notify.success(t('admin.product.created', { title: res.data.title })); return true; }
+        notify.error(res?.data?.error || t('admin.product.createFailed'));
+        return res?.data?.errors || false;
+    };
+
+    return (
+        <div className="container">
+            <h2>{t('nav.admin')}</h2>
+            <AdminNav />
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 360px', gap: 16 }}>
+                <div>
+                    <h3>{t('admin.product.create')}</h3>
+                    <ProductForm submitLabel={t('admin.create')} onSubmit={create} resetOnSubmit />
+
+                    <h3 style={{ marginTop: 16 }}>{t('admin.product.yours')}</h3>
+                    {products.loading ? <LoadingGrid count={4} /> : products.error ? <QueryError error={products.error} onRetry={products.refetch}>{t('admin.product.loadError')}</QueryError> : (
+                        <div className="grid">
+                            {products.data.filter(p => p.type !== 'bundle').map(p => <AdminProductCard key={p.id} product={p} onChanged={invalidateCatalog} />)}
+                        </div>
+                    )}
+
+                    <AdminBundles />
+                </div>
+
+                <aside>
+                    <AdminStatsSummary />
+                    <AdminCurrencyRates />
+                    <div className="card" style={{ marginTop: 16 }}>
+                        <h4>{t('admin.tips.title')}</h4>
+                        <p style={{ color: 'var(--muted)' }}>{t('admin.tips.login')}</p>
+                        <p style={{ color: 'var(--muted)' }}>{t('admin.tips.versions')}</p>
+                    </div>
+                </aside>
+            </div>
+        </div>
+    );
+}
+
+// exchange rates from the base currency; a currency without a rate is hidden from the storefront selector
+function AdminCurrencyRates() {
+    const rates = useQuery('currencies', signal => api.get('/api/currencies', { signal }).then(r => r.data?.rates || {}), { staleTime: 10 * 60000 });
+    const notify = useNotify();
+    const { t } = useI18n();
+    const [form, setForm] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const values = form || Object.fromEntries(CURRENCIES.filter(c => c !== BASE_CURRENCY).map(c => [c, rates.data?.[c] ? String(rates.data[c]) : '']));
+    const invalid = Object.values(values).some(v => v !== '' && !(Number(v) > 0));
+
+    const save = async (e) => {
+        e.preventDefault();
+        if (invalid) return;
+        setBusy(true);
+        const payload = Object.fromEntries(Object.entries(values).filter(([, v]) => v !== '').map(([c, v]) => [c, Number(v)]));
+        const res = await api.put('/api/admin/currencies', { rates: payload }).catch(e => e.response);
+        setBusy(false);
+        if (res?.status >= 200 && res.status < 300) { setForm(null); invalidateQueries('currencies'); notify.success(t('admin.rates.saved')); }
+        else notify.error(res?.data?.error || t('admin.rates.saveFailed'));
+    };
+
+    return (
+        <form className="card" style={{ marginTop: 16 }} onSubmit={save} noValidate>
+            <h4>{t('admin.rates.title')}</h4>
+            <p style={{ color: 'var(--muted)', fontSize: 13 }}>{t('admin.rates.hint', { base: BASE_CURRENCY })}</p>
+            {Object.entries(values).map(([c, v]) => (
+                <label key={c} className="row" style={{ marginBottom: 6 }}>
+                    <span style={{ width: 48 }}>{c}</span>
+                    <input className="input" type="number" step="any" min="0" value={v} aria-invalid={v !== '' && !(Number(v) > 0)} onChange={e => setForm({ ...values, [c]: e.target.value })} />
+                </label>
+            ))}
+            {invalid && <div className="field-error">{t('admin.rates.invalid')}</div>}
+            <button className="button" type="submit" disabled={busy || !form}>{t('admin.rates.save')}</button>
+        </form>
+    );
+}
+
+function AdminNav() {
+    const { pathname } = useLocation();
+    const { t } = useI18n();
+    const tab = (to, label) => <Link to={to} className="badge" style={pathname === to ? { background: 'var(--accent)', color: '#fff' } : undefined}>{t('admin.tab.' + label)}</Link>;
+    return <div className="row" style={{ marginBottom: 12 }}>{tab('/admin', 'products')}{tab('/admin/analytics', 'analytics')}{tab('/admin/licenses', 'licenses')}{tab('/admin/coupons', 'coupons')}{tab('/admin/reviews', 'reviews')}</div>;
+}
+
+/* ----------------- Admin Analytics ----------------- */
+const RANGES = ['7', '30', '90', '365', 'custom']; // labels are admin.range.<value>
+// calendar dates in the admin's local time zone: toISOString() would switch to UTC and be a day off around midnight
+const isoDate = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+function daysAgo(n) { const d = new Date(); d.setDate(d.getDate() - n); return isoDate(d); }
+
+// quote every cell so commas, quotes and newlines in titles/emails survive
+function toCsv(rows) { return rows.map(r => r.map(v => '"' + String(v ?? '').replace(/"/g, '""') + '"').join(',')).join('\r\n'); }
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a'); a.href = url; a.download = name; a.click();
+    // revoking right away can cancel the download before the browser has started reading the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// compact last-7-days numbers for the AdminPage sidebar
+function AdminStatsSummary() {
+    const { t } = useI18n();
+    const period = { from: daysAgo(7), to: isoDate(new Date()) };
+    const stats = useQuery(`admin:stats?from=${period.from}&to=${period.to}`, signal => api.get('/api/admin/stats', { params: period, signal }).then(r => r.data));
+    return (
+        <div className="card">
+            <h4>{t('admin.range.7')}</h4>
+            {stats.loading ? <p style={{ color: 'var(--muted)' }}>{t('common.loading')}</p> : stats.error ? <QueryError error={stats.error} onRetry={stats.refetch}>{t('admin.stats.loadError')}</QueryError> : (
+                <p>{t('admin.stats.summary', { revenue: formatMoney(stats.data.revenue), orders: stats.data.orders, free: stats.data.freeDownloads })}</p>
+            )}
+            <Link to="/admin/analytics">{t('admin.stats.view')}</Link>
+        </div>
+    );
+}
+
+function StatCard({ label, value, hint }) {
+    return (
+        <div className="card">
+            <div style={{ color: 'var(--muted)', fontSize: 13 }}>{label}</div>
+            <div style={{ fontSize: 22, fontWeight: 700 }}>{value}</div>
+            {hint && <div style={{ color: 'var(--muted)', fontSize: 13 }}>{hint}</div>}
+        </div>
+    );
+}
+
+function AdminAnalytics() {
+    const { t } = useI18n();
+    const [range, setRange] = useState('30');
+    const [custom, setCustom] = useState({ from: daysAgo(30), to: isoDate(new Date()) });
+    const [topBy, setTopBy] = useState('revenue');
+    const period = range === 'custom' ? custom : { from: daysAgo(Number(range)), to: isoDate(new Date()) };
+    const rangeError = !period.from || !period.to ? t('admin.range.missing') : period.from > period.to ? t('admin.range.inverted') : null;
+    // one entry per period, so a new range shows "Loading..." instead of the previous range's figures
+    const report = useQuery(`admin:analytics?from=${period.from}&to=${period.to}`, signal => rangeError ? Promise.resolve(null) : Promise.all([
+        api.get('/api/admin/stats', { params: period, signal }),
+        api.get('/api/admin/orders', { params: period, signal })
+    ]).then(([s, o]) => ({ stats: s.data, orders: o.data })));
+    const stats = report.data?.stats;
+    const orders = report.data?.orders || [];
+
+    // the CSV keeps English column names so spreadsheets and imports always see the same header
+    const exportCsv = () => {
+        const rows = [['Order', 'Date', 'Customer', 'Items', 'Total', 'Status'],
+            ...orders.map(o => [o.id, new Date(o.createdAt).toISOString(), o.email, o.items.map(it => it.title).join('; '), (o.total / 100).toFixed(2), o.status])];
+        downloadFile(`orders-${period.from}-to-${period.to}.csv`, toCsv(rows), 'text/csv');
+    };
+
+    const series = stats?.series || [];
+    const peak = Math.max(1, ...series.map(d => d.revenue));
+    const top = [...(stats?.topProducts || [])].sort((a, b) => b[topBy] - a[topBy]).slice(0, 10);
+    const conversion = stats?.views ? ((stats.purchases / stats.views) * 100).toFixed(1) + '%' : '—';
+
+    return (
+        <div className="container">
+            <h2>{t('nav.admin')}</h2>
+            <AdminNav />
+            <div className="row" style={{ marginBottom: 12, flexWrap: 'wrap' }}>
+                <select className="input" style={{ width: 180 }} value={range} onChange={e => setRange(e.target.value)}>
+                    {RANGES.map(value => <option key={value} value={value}>{t('admin.range.' + value)}</option>)}
+                </select>
+                {range === 'custom' && (
+                    <>
+                        <input className="input" style={{ width: 160 }} type="date" value={custom.from} max={custom.to} onChange={e => setCustom({ ...custom, from: e.target.value })} />
+                        <span>{t('admin.range.to')}</span>
+                        <input className="input" style={{ width: 160 }} type="date" value={custom.to} min={custom.from} onChange={e => setCustom({ ...custom, to: e.target.value })} />
+                    </>
+                )}
+            </div>
+            {rangeError && <div className="field-error" style={{ marginBottom: 12 }}>{rangeError}</div>}
+
+            {rangeError ? null : report.loading ? <p>{t('common.loading')}</p> : report.error ? <QueryError error={report.error} onRetry={report.refetch}>{t('admin.stats.loadError')}</QueryError> : (
+                <div>
+                    <div className="grid" style={{ gridTemplateColumns: 'repeat(auto-fill,minmax(180px,1fr))' }}>
+                        <StatCard label={t('admin.stats.revenue')} value={formatMoney(stats.revenue)} />
+                        <StatCard label={t('admin.stats.orders')} value={stats.orders} hint={stats.orders ? t('admin.stats.average', { amount: formatMoney(Math.round(stats.revenue / stats.orders)) }) : null} />
+                        <StatCard label={t('admin.stats.freeDownloads')} value={stats.freeDownloads} />
+                        <StatCard label={t('admin.stats.conversion')} value={conversion} hint={t('admin.stats.funnel', { purchases: stats.purchases, views: stats.views })} />
+                    </div>
+
+                    <h3>{t('admin.stats.overTime')}</h3>
+                    <div className="card" style={{ display: 'flex', alignItems: 'flex-end', gap: 2, height: 160 }}>
+                        {series.length === 0 ? <span style={{ color: 'var(--muted)' }}>{t('admin.stats.noSales')}</span> : series.map(d => (
+                            <div key={d.date} title={t('admin.stats.bar', { date: d.date, revenue: formatMoney(d.revenue), orders: d.orders })} style={{ flex: 1, background: 'var(--accent)', borderRadius: 2, height: `${(d.revenue / peak) * 100}%`, minHeight: 1 }} />
+                        ))}
+                    </div>
+
+                    <div className="row" style={{ justifyContent: 'space-between' }}>
+                        <h3>{t('admin.stats.top')}</h3>
+                        <select className="input" style={{ width: 160 }} value={topBy} onChange={e => setTopBy(e.target.value)}>
+                            <option value="revenue">{t('admin.stats.byRevenue')}</option>
+                            <option value="units">{t('admin.stats.byUnits')}</option>
+                        </select>
+                    </div>
+                    <table className="table card">
+                        <thead><tr><th>{t('admin.col.product')}</th><th>{t('admin.col.units')}</th><th>{t('admin.stats.revenue')}</th></tr></thead>
+                        <tbody>
+                            {top.map(p => <tr key={p.id}><td><Link to={`/product/${p.id}`}>{p.title}</Link></td><td>{p.units}</td><td>{formatMoney(p.revenue)}</td></tr>)}
+                        </tbody>
+                    </table>
+
+                    <div className="row" style={{ justifyContent: 'space-between' }}>
+                        <h3>{t('admin.stats.recent')}</h3>
+                        <button className="button ghost" onClick={exportCsv} disabled={!orders.length}>{t('admin.stats.export')}</button>
+                    </div>
+                    <table className="table card">
+                        <thead><tr><th>{t('admin.col.order')}</th><th>{t('admin.col.date')}</th><th>{t('admin.col.customer')}</th><th>{t('admin.col.items')}</th><th>{t('admin.col.total')}</th><th>{t('admin.col.status')}</th></tr></thead>
+                        <tbody>
+                            {orders.map(o => (
+                                <tr key={o.id}>
+                                    <td>#{o.id}</td>
+                                    <td>{new Date(o.createdAt).toLocaleString()}</td>
+                                    <td>{o.email}</td>
+                                    <td>{o.items.map(it => it.title).join(', ')}</td>
+                                    <td>{formatMoney(o.total)}</td>
+                                    <td><span className="badge">{o.status}</span></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/* ----------------- Licenses ----------------- */
+// a license: { id, key, productId, productTitle, email, status: 'active'|'revoked', maxActivations, activations: [{ id, device, activatedAt }] }
+function LicenseKey({ value }) {
+    const { t } = useI18n();
+    const notify = useNotify();
+    const [copied, setCopied] = useState(false);
+    const code = useRef(null);
+    // the clipboard API is missing outside secure contexts and can be denied: select the key so Ctrl+C works instead
+    const selectKey = () => {
+        const range = document.createRange();
+        range.selectNodeContents(code.current);
+        window.getSelection().removeAllRanges();
+        window.getSelection().addRange(range);
+        notify.info(t('license.copyManually'));
+    };
+    const copy = () => {
+        if (!navigator.clipboard) return selectKey();
+        navigator.clipboard.writeText(value).then(() => { setCopied(true); setTimeout(() => setCopied(false), 1500); }).catch(selectKey);
+    };
+    return (
+        <span className="row" style={{ gap: 4 }}>
+            <code ref={code} className="badge" dir="ltr">{value}</code>
+            <button className="button ghost" style={{ padding: '2px 8px' }} onClick={copy}>{copied ? t('license.copied') : t('license.copy')}</button>
+        </span>
+    );
+}
+
+// buyer view: own licenses with their activated devices
+function MyLicenses() {
+    const notify = useNotify();
+    const auth = useAuth();
+    const { t, date } = useI18n();
+    // keyed per user: the same endpoint answers with whoever is logged in
+    const licenses = useQuery('licenses:' + (auth.email || ''), signal => api.get('/api/licenses', { signal }).then(r => r.data));
+    const load = () => invalidateQueries('licenses:');
+
+    const deactivate = async (license, activation) => {
+        if (!window.confirm(t('license.confirmDeactivate', { device: activation.device }))) return;
+        const res = await api.delete(`/api/licenses/${license.id}/activations/${activation.id}`).catch(e => e.response);
+        if (res?.status >= 200 && res.status < 300) { load(); notify.success(t('license.deactivated', { device: activation.device })); }
+        else notify.error(res?.data?.error || t('license.deactivateFailed'));
+    };
+
+    if (licenses.loading) return <p>{t('common.loading')}</p>;
+    if (licenses.error) return <QueryError error={licenses.error} onRetry={licenses.refetch}>{t('license.loadError')}</QueryError>;
+    if (!licenses.data.length) return <p style={{ color: 'var(--muted)' }}>{t('license.none')}</p>;
+    return licenses.data.map(l => (
+        <div key={l.id} className="card" style={{ marginBottom: 8 }}>
+            <div className="row" style={{ justifyContent: 'space-between', flexWrap: 'wrap' }}>
+                <div style={{ fontWeight: 700 }}>{l.productTitle}</div>
+                <LicenseKey value={l.key} />
+            </div>
+            <div style={{ color: 'var(--muted)', fontSize: 13, margin: '4px 0' }}>
+                {l.status === 'revoked' ? t('license.revoked') : t('license.used', { used: l.activations.length, max: l.maxActivations })}
+            </div>
+            {l.activations.map(a => (
+                <div key={a.id} className="row" style={{ justifyContent: 'space-between', padding: '4px 0' }}>
+                    <span>{a.device} <span style={{ color: 'var(--muted)', fontSize: 13 }}>{t('license.since', { date: date(a.activatedAt) })}</span></span>
+                    <button className="button ghost" onClick={() => deactivate(l, a)}>{t('license.deactivate')}</button>
+                </div>
+            ))}
+        </div>
+    ));
+}
+
+function AdminLicenseRow({ license, onChange }) {
+    const notify = useNotify();
+    const { t } = useI18n();
+    const [max, setMax] = useState(String(license.maxActivations));
+    const [maxError, setMaxError] = useState(null);
+    useEffect(() => { setMax(String(license.maxActivations)); }, [license.maxActivations]);
+
+    const act = async (request, failure) => {
+        const res = await request().catch(e => e.response);
+        if (res?.data?.id) onChange(res.data); else notify.error(res?.data?.error || failure);
+    };
+    const revoke = () => window.confirm(t('admin.licenses.confirmRevoke', { key: license.key })) && act(() => api.post(`/api/licenses/${license.id}/revoke`), t('admin.licenses.revokeFailed'));
+    const reissue = () => window.confirm(t('admin.licenses.confirmReissue', { key: license.key })) && act(() => api.post(`/api/licenses/${license.id}/reissue`), t('admin.licenses.reissueFailed'));
+    const saveMax = () => {
+        if (!/^\d+$/.test(max) || Number(max) < 1) return setMaxError(t('admin.licenses.maxInvalid'));
+        act(() => api.put(`/api/licenses/${license.id}`, { maxActivations: Number(max) }), t('admin.updateFailed'));
+    };
+
+    return (
+        <tr>
+            <td><code>{license.key}</code></td>
+            <td>{license.productTitle}</td>
+            <td>{license.email}</td>
+            <td><span className="badge">{t('admin.licenses.status.' + license.status)}</span></td>
+            <td>
+                <span className="row" style={{ gap: 4 }}>
+                    {license.activations.length} /
+                    <input className="input" style={{ width: 60, padding: 4 }} aria-invalid={!!maxError} value={max} onChange={e => { setMax(e.target.value); setMaxError(null); }} />
+                    {max !== String(license.maxActivations) && <button className="button ghost" style={{ padding: '2px 8px' }} onClick={saveMax}>{t('admin.save')}</button>}
+                </span>
+                {maxError && <div className="field-error">{maxError}</div>}
+            </td>
+            <td>
+                <span className="row" style={{ gap: 4 }}>
+                    {license.status !== 'revoked' && <button className="button ghost" style={{ padding: '2px 8px' }} onClick={revoke}>{t('admin.licenses.revoke')}</button>}
+                    <button className="button ghost" style={{ padding: '2px 8px' }} onClick={reissue}>{t('admin.licenses.reissue')}</button>
+                </span>
+            </td>
+        </tr>
+    );
+}
+
+function AdminLicenses() {
+    const { t } = useI18n();
+    const [q, setQ] = useState('');
+    const debouncedQ = useDebounce(q, 300);
+    const licenses = useQuery('admin:licenses?q=' + debouncedQ, signal => api.get('/api/licenses', { params: { all: 1, q: debouncedQ || undefined }, signal }).then(r => r.data));
+    // an admin's own licenses may be among them, so their library view refreshes too
+    const changed = () => { invalidateQueries('admin:licenses'); invalidateQueries('licenses:'); };
+
+    return (
+        <div className="container">
+            <h2>{t('nav.admin')}</h2>
+            <AdminNav />
+            <input className="input" style={{ marginBottom: 12 }} placeholder={t('admin.licenses.search')} value={q} onChange={e => setQ(e.target.value)} />
+            {licenses.loading ? <p>{t('common.loading')}</p> : licenses.error ? <QueryError error={licenses.error} onRetry={licenses.refetch}>{t('admin.licenses.loadError')}</QueryError> : licenses.data.length === 0 ? <p style={{ color: 'var(--muted)' }}>{t('admin.licenses.none')}</p> : (
+                <table className="table card">
+                    <thead><tr><th>{t('admin.col.key')}</th><th>{t('admin.col.product')}</th><th>{t('admin.col.owner')}</th><th>{t('admin.col.status')}</th><th>{t('admin.col.activations')}</th><th></th></tr></thead>
+                    <tbody>{licenses.data.map(l => <AdminLicenseRow key={l.id} license={l} onChange={changed} />)}</tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+/* ----------------- Product media & versions ----------------- */
+// products carry `media: [{ id, type: 'image' | 'video', url }]`, an optional free `preview: { id, url, kind: 'pdf' | 'image' | 'audio', name }`
+// (the server keeps a few PDF pages, watermarks images and cuts audio to a clip) and `versions` newest first
+function ProductGallery({ product }) {
+    const { t } = useI18n();
+    const items = [...(product.coverImageUrl ? [{ type: 'image', url: product.coverImageUrl }] : []), ...(product.media || [])];
+    const [index, setIndex] = useState(0);
+    useEffect(() => { setIndex(0); }, [product.id]);
+    const current = items[Math.min(index, items.length - 1)] || { type: 'image', url: '/placeholder.png' };
+    return (
+        <div>
+            {current.type === 'video'
+                ? <video key={current.url} src={current.url} controls style={{ width: '100%', borderRadius: 12, background: '#000' }} />
+                : <img src={current.url} alt={t('common.coverAlt')} style={{ width: '100%', borderRadius: 12 }} />}
+            {items.length > 1 && (
+                <div className="row" style={{ marginTop: 8, overflowX: 'auto' }}>
+                    {items.map((m, i) => (
+                        <button key={m.url} type="button" aria-label={t('gallery.show', { n: i + 1 })} aria-current={i === index} onClick={() => setIndex(i)}
+                            style={{ padding: 0, background: 'none', cursor: 'pointer', borderRadius: 8, border: '2px solid ' + (i === index ? 'var(--accent)' : 'transparent') }}>
+                            {m.type === 'video'
+                                ? <div style={{ width: 80, height: 50, display: 'grid', placeItems: 'center', background: '#111', color: '#fff', borderRadius: 6 }}>▶</div>
+                                : <img src={m.url} alt="" style={{ width: 80, height: 50, objectFit: 'cover', borderRadius: 6, display: 'block' }} />}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function ProductPreview({ preview }) {
+    const { t } = useI18n();
+    const [open, setOpen] = useState(false);
+    if (!preview) return null;
+    return (
+        <div style={{ marginTop: 12 }}>
+            <button className="button ghost" onClick={() => setOpen(!open)}>{open ? t('preview.close') : t('preview.open.' + preview.kind)}</button>
+            {open && (
+                <div className="card" style={{ marginTop: 8 }}>
+                    {preview.kind === 'pdf' && <iframe src={preview.url} title={t('preview.title')} style={{ width: '100%', height: 480, border: 'none' }} />}
+                    {preview.kind === 'image' && <img src={preview.url} alt={t('preview.title')} style={{ height: 'auto' }} />}
+                    {preview.kind === 'audio' && <audio src={preview.url} controls style={{ width: '100%' }} />}
+                    <div style={{ color: 'var(--muted)', fontSize: 13, marginTop: 4 }}>
+                        {t('preview.note.' + preview.kind)} <a href={preview.url} target="_blank" rel="noreferrer">{t('preview.newTab')}</a>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function Changelog({ versions }) {
+    const { t, date } = useI18n();
+    if (!versions?.length) return null;
+    return (
+        <section style={{ marginTop: 24 }}>
+            <h3>{t('versions.title')}</h3>
+            {versions.map(v => (
+                <div key={v.id} style={{ padding: '6px 0', borderBottom: '1px solid #edf0f7' }}>
+                    <strong>v{v.version}</strong> <span style={{ color: 'var(--muted)', fontSize: 13 }}>{date(v.releasedAt)}</span>
+                    {v.notes && <p style={{ margin: '4px 0', whiteSpace: 'pre-wrap' }}>{v.notes}</p>}
+                </div>
+            ))}
+        </section>
+    );
+}
+
+// '1.4' -> '1.5', '2.0.9' -> '2.0.10'
+function nextVersion(version) {
+    if (!version) return '1.0';
+    const parts = version.split('.');
+    parts[parts.length - 1] = String(Number(parts[parts.length - 1]) + 1);
+    return parts.join('.');
+}
+
+function AdminProductFiles({ product: p, onChanged }) {
+    const notify = useNotify();
+    const { t, date } = useI18n();
+    const versions = p.versions || [];
+    const [version, setVersion] = useState(nextVersion(versions[0]?.version));
+    const [notes, setNotes] = useState('');
+    const versionError = !/^\d+(\.\d+){0,2}$/.test(version) ? t('admin.files.versionInvalid')
+        : versions.some(v => v.version === version) ? t('admin.files.versionExists', { version }) : null;
+
+    const remove = async (url, failure) => {
+        const res = await api.delete(url).catch(e => e.response);
+        if (res?.status >= 200 && res.status < 300) onChanged(); else notify.error(res?.data?.error || failure);
+    };
+    const released = () => { notify.success(t('admin.files.released', { version })); setNotes(''); setVersion(nextVersion(version)); onChanged(); };
+
+    return (
+        <div style={{ borderTop: '1px solid #edf0f7', marginTop: 8, paddingTop: 8 }}>
+            <h5 style={{ margin: '4px 0' }}>{t('admin.files.gallery')}</h5>
+            {p.media?.length > 0 && (
+                <div className="row" style={{ flexWrap: 'wrap', marginBottom: 4 }}>
+                    {p.media.map(m => (
+                        <span key={m.id} className="badge">
+                            {m.type === 'video' ? '▶ ' + t('admin.files.video') : <img src={m.url} alt="" style={{ width: 40, height: 28, objectFit: 'cover', verticalAlign: 'middle' }} />}
+                            <button className="toast-close" aria-label={t('admin.files.removeMedia')} onClick={() => remove(`/api/admin/products/${p.id}/media/${m.id}`, t('admin.files.removeMediaFailed'))}>✕</button>
+                        </span>
+                    ))}
+                </div>
+            )}
+            <FileUpload url={`/api/admin/products/${p.id}/media`} accept="image/*,video/*" label={t('admin.files.dropMedia')} onUploaded={onChanged} />
+
+            <h5 style={{ margin: '8px 0 4px' }}>{t('admin.files.preview')}</h5>
+            {p.preview
+                ? <div className="row" style={{ fontSize: 13 }}><a href={p.preview.url} target="_blank" rel="noreferrer">{p.preview.name}</a> ({p.preview.kind})
+                    <button className="button ghost" style={{ padding: '2px 8px' }} onClick={() => remove(`/api/admin/products/${p.id}/preview`, t('admin.files.removePreviewFailed'))}>{t('common.remove')}</button></div>
+                : <div style={{ color: 'var(--muted)', fontSize: 13 }}>{t('admin.files.noPreview')}</div>}
+            <FileUpload url={`/api/admin/products/${p.id}/preview`} accept="application/pdf,image/*,audio/*" label={p.preview ? t('admin.files.replacePreview') : t('admin.files.dropPreview')} onUploaded={onChanged} />
+
+            <h5 style={{ margin: '8px 0 4px' }}>{t('admin.files.versions')}</h5>
+            {versions.map(v => (
+                <div key={v.id} style={{ fontSize: 13, marginBottom: 4 }}>
+                    <strong>v{v.version}</strong> · {date(v.releasedAt)} · {v.fileName} ({formatBytes(v.fileSize)})
+                    {v.notes && <div style={{ color: 'var(--muted)', whiteSpace: 'pre-wrap' }}>{v.notes}</div>}
+                </div>
+            ))}
+            <input className="input" placeholder={t('admin.files.version')} aria-invalid={!!versionError} value={version} onChange={e => setVersion(e.target.value.trim())} />
+            {versionError && <div className="field-error">{versionError}</div>}
+            <textarea className="input" placeholder={t('admin.files.notes')} value={notes} onChange={e => setNotes(e.target.value)} />
+            <FileUpload url={`/api/admin/products/${p.id}/versions`} fields={{ version, notes }} disabled={!!versionError}
+                label={versions.length ? t('admin.files.dropVersion', { version }) : t('admin.files.dropFirst')} onUploaded={released} />
+        </div>
+    );
+}
+
+/* ----------------- Reviews & Q&A ----------------- */
+// only verified buyers can review (the server checks their library) and new reviews stay pending until an admin
+// approves them; products carry `ratingAvg` / `ratingCount` computed from approved reviews
+function Stars({ value, size = 14 }) {
+    const { t } = useI18n();
+    const full = Math.round(value || 0);
+    return (
+        <span role="img" aria-label={t('review.stars', { rating: (value || 0).toFixed(1) })} style={{ color: '#f59e0b', fontSize: size, letterSpacing: 1 }}>
+            {'★'.repeat(full)}<span style={{ color: '#d1d5db' }}>{'★'.repeat(5 - full)}</span>
+        </span>
+    );
+}
+
+function StarInput({ value, onChange }) {
+    const { t } = useI18n();
+    return (
+        <span role="radiogroup" aria-label={t('review.rating')}>
+            {[1, 2, 3, 4, 5].map(n => (
+                <button key={n} type="button" role="radio" aria-checked={value === n} aria-label={t('review.starsN', { count: n })} onClick={() => onChange(n)}
+                    style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 22, padding: 0, color: n <= value ? '#f59e0b' : '#d1d5db' }}>★</button>
+            ))}
+        </span>
+    );
+}
+
+function ReviewForm({ productId, mine, onSaved, onCancel }) {
+    const notify = useNotify();
+    const { t } = useI18n();
+    const [rating, setRating] = useState(mine?.rating || 0);
+    const [body, setBody] = useState(mine?.body || '');
+    const [errors, setErrors] = useState({});
+    const [busy, setBusy] = useState(false);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        const errs = {};
+        if (!rating) errs.rating = t('review.ratingRequired');
+        if (!body.trim()) errs.body = t('review.bodyRequired');
+        setErrors(errs);
+        if (Object.keys(errs).length) return;
+        setBusy(true);
+        const res = await api.post(`/api/products/${productId}/reviews`, { rating, body: body.trim() }).catch(e => e.response);
+        setBusy(false);
+        if (res?.data?.id) { notify.success(t('review.submitted')); onSaved(); }
+        else { setErrors(res?.data?.errors || {}); notify.error(res?.data?.error || t('review.failed')); }
+    };
+
+    return (
+        <form className="card" onSubmit={submit} noValidate>
+            <StarInput value={rating} onChange={n => { setRating(n); setErrors({ ...errors, rating: null }); }} />
+            {errors.rating && <div className="field-error">{errors.rating}</div>}
+            <textarea className="input" placeholder={t('review.placeholder')} aria-invalid={!!errors.body} value={body} onChange={e => { setBody(e.target.value); setErrors({ ...errors, body: null }); }} />
+            {errors.body && <div className="field-error">{errors.body}</div>}
+            <div style={{ marginTop: 8 }}>
+                <button className="button" type="submit" disabled={busy}>{t('review.submit')}</button>
+                {onCancel && <button type="button" className="button ghost" style={{ marginInlineStart: 8 }} onClick={onCancel}>{t('common.cancel')}</button>}
+            </div>
+        </form>
+    );
+}
+
+function ReviewItem({ review: r }) {
+    const { t, date } = useI18n();
+    return (
+        <div style={{ padding: '8px 0', borderBottom: '1px solid #edf0f7' }}>
+            <div className="row" style={{ flexWrap: 'wrap' }}>
+                <Stars value={r.rating} />
+                <strong>{r.author}</strong>
+                <span style={{ color: 'var(--muted)', fontSize: 13 }}>{date(r.createdAt)}</span>
+                {r.verified && <span className="badge">{t('review.verified')}</span>}
+            </div>
+            <p style={{ margin: '4px 0' }}>{r.body}</p>
+            {r.reply && (
+                <div style={{ borderInlineStart: '3px solid var(--accent)', paddingInlineStart: 8, marginTop: 4 }}>
+                    <div style={{ fontSize: 13, fontWeight: 700 }}>{t('review.reply')}</div>
+                    <div>{r.reply.body}</div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// GET /api/products/:id/reviews -> { items: approved reviews, mine: the caller's own review in any status }
+function ProductReviews({ product }) {
+    const auth = useAuth();
+    const library = useLibrary();
+    const { t } = useI18n();
+    // keyed per user as well, because `mine` depends on who is asking
+    const reviews = useQuery(`reviews:${product.id}:${auth.email || ''}`, signal => api.get(`/api/products/${product.id}/reviews`, { signal }).then(r => r.data));
+    const [editing, setEditing] = useState(false);
+    const mine = reviews.data?.mine;
+    const saved = () => { setEditing(false); invalidateQueries('reviews:' + product.id + ':'); };
+
+    // the form waits for the list: without it we can't tell whether the user already has a review to edit
+    let own;
+    if (!auth.token) own = <p style={{ color: 'var(--muted)' }}>{t('review.loginPrompt')} <Link to="/auth">{t('nav.login')}</Link></p>;
+    else if (!library.owns(product.id)) own = <p style={{ color: 'var(--muted)' }}>{t('review.buyersOnly')}</p>;
+    else if (mine && !editing) {
+        own = (
+            <div className="card">
+                <div className="row" style={{ justifyContent: 'space-between' }}>
+                    <strong>{t('review.yours')}</strong>
+                    <span className="badge">{t('review.status.' + mine.status)}</span>
+                </div>
+                <ReviewItem review={mine} />
+                <button className="button ghost" style={{ marginTop: 8 }} onClick={() => setEditing(true)}>{t('review.edit')}</button>
+            </div>
+        );
+    } else if (!reviews.loading && !reviews.error) own = <ReviewForm productId={product.id} mine={mine} onSaved={saved} onCancel={mine ? () => setEditing(false) : null} />;
+
+    return (
+        <section style={{ marginTop: 24 }}>
+            <h3>{t('review.title')}</h3>
+            {product.ratingCount > 0
+                ? <p className="row"><Stars value={product.ratingAvg} size={18} /> {t('review.average', { rating: Number(product.ratingAvg || 0).toFixed(1), count: product.ratingCount })}</p>
+                : <p style={{ color: 'var(--muted)' }}>{t('review.none')}</p>}
+            {own}
+            {reviews.loading ? <div className="skeleton" style={{ height: 60, marginTop: 8 }} /> : reviews.error ? <QueryError error={reviews.error} onRetry={reviews.refetch}>{t('review.loadError')}</QueryError> : (
+                reviews.data.items.map(r => <ReviewItem key={r.id} review={r} />)
+            )}
+        </section>
+    );
+}
+
+// small inline "write something and post it" form shared by questions and answers
+function PostForm({ placeholder, label, onPost }) {
+    const { t } = useI18n();
+    const [body, setBody] = useState('');
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        if (!body.trim()) return setError(t('qa.empty'));
+        setBusy(true);
+        const res = await onPost(body.trim());
+        setBusy(false);
+        if (res === true) setBody(''); else setError(res);
+    };
+
+    return (
+        <form onSubmit={submit} noValidate style={{ marginTop: 8 }}>
+            <div className="row">
+                <input className="input" placeholder={placeholder} aria-invalid={!!error} value={body} onChange={e => { setBody(e.target.value); setError(null); }} />
+                <button className="button ghost" type="submit" disabled={busy}>{label}</button>
+            </div>
+            {error && <div className="field-error">{error}</div>}
+        </form>
+    );
+}
+
+// anyone logged in can ask or answer; answers posted by admins come back with `isSeller`
+function ProductQuestions({ productId }) {
+    const auth = useAuth();
+    const { t, date } = useI18n();
+    const questions = useQuery('questions:' + productId, signal => api.get(`/api/products/${productId}/questions`, { signal }).then(r => r.data));
+    const [answering, setAnswering] = useState(null);
+
+    const post = async (url, body) => {
+        const res = await api.post(url, { body }).catch(e => e.response);
+        if (!res?.data?.id) return res?.data?.error || t('qa.failed');
+        invalidateQuery('questions:' + productId);
+        return true;
+    };
+    const answer = async (questionId, body) => {
+        const res = await post(`/api/questions/${questionId}/answers`, body);
+        if (res === true) setAnswering(null);
+        return res;
+    };
+
+    return (
+        <section style={{ marginTop: 24 }}>
+            <h3>{t('qa.title')}</h3>
+            {auth.token
+                ? <PostForm placeholder={t('qa.placeholder')} label={t('qa.ask')} onPost={body => post(`/api/products/${productId}/questions`, body)} />
+                : <p style={{ color: 'var(--muted)' }}>{t('qa.loginPrompt')} <Link to="/auth">{t('nav.login')}</Link></p>}
+            {questions.loading ? <div className="skeleton" style={{ height: 60, marginTop: 8 }} /> : questions.error ? <QueryError error={questions.error} onRetry={questions.refetch}>{t('qa.loadError')}</QueryError> : (
+                questions.data.length === 0 ? <p style={{ color: 'var(--muted)' }}>{t('qa.none')}</p> : questions.data.map(q => (
+                    <div key={q.id} style={{ padding: '8px 0', borderBottom: '1px solid #edf0f7' }}>
+                        <div style={{ fontWeight: 700 }}>{q.body}</div>
+                        <div style={{ color: 'var(--muted)', fontSize: 13 }}>{t('qa.asked', { author: q.author, date: date(q.createdAt) })}</div>
+                        {q.answers.map(a => (
+                            <div key={a.id} style={{ paddingInlineStart: 12, marginTop: 4 }}>
+                                {a.isSeller && <span className="badge" style={{ marginInlineEnd: 4 }}>{t('qa.seller')}</span>}
+                                {a.body} <span style={{ color: 'var(--muted)', fontSize: 13 }}>— {a.author}</span>
+                            </div>
+                        ))}
+                        {auth.token && (answering === q.id
+                            ? <PostForm placeholder={t('qa.answerPlaceholder')} label={t('qa.post')} onPost={body => answer(q.id, body)} />
+                            : <button className="button ghost" style={{ padding: '2px 8px', marginTop: 4 }} onClick={() => setAnswering(q.id)}>{t('qa.answer')}</button>)}
+                    </div>
+                ))
+            )}
+        </section>
+    );
+}
+
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+
+function AdminReviewRow({ review: r, onChanged }) {
+    const notify = useNotify();
+    const { t } = useI18n();
+    const [reply, setReply] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const act = async (request, success, failure) => {
+        setBusy(true);
+        const res = await request().catch(e => e.response);
+        setBusy(false);
+        if (res?.data?.id) { notify.success(success); onChanged(r); return true; }
+        notify.error(res?.data?.error || failure);
+        return false;
+    };
+    const setStatus = (status) => act(() => api.put(`/api/admin/reviews/${r.id}`, { status }), t('admin.reviews.' + status), t('admin.updateFailed'));
+    const sendReply = async () => {
+        if (!reply.trim()) return;
+        if (await act(() => api.post(`/api/admin/reviews/${r.id}/reply`, { body: reply.trim() }), t('admin.reviews.replyPosted'), t('admin.reviews.replyFailed'))) setReply(null);
+    };
+
+    return (
+        <div className="card" style={{ marginBottom: 8 }}>
+            <div className="row" style={{ justifyContent: 'space-between', flexWrap: 'wrap' }}>
+                <span className="row"><Stars value={r.rating} /> <Link to={`/product/${r.productId}`}>{r.productTitle}</Link></span>
+                <span style={{ color: 'var(--muted)', fontSize: 13 }}>{r.email} · {new Date(r.createdAt).toLocaleString()} {!r.verified && t('admin.reviews.unverified')}</span>
+            </div>
+            <p>{r.body}</p>
+            {r.reply && <p style={{ color: 'var(--muted)' }}>{t('admin.reviews.yourReply', { body: r.reply.body })}</p>}
+            {reply !== null ? (
+                <div className="row">
+                    <input className="input" placeholder={t('admin.reviews.replyPlaceholder')} value={reply} onChange={e => setReply(e.target.value)} />
+                    <button className="button" disabled={busy || !reply.trim()} onClick={sendReply}>{t('admin.reviews.send')}</button>
+                    <button className="button ghost" onClick={() => setReply(null)}>{t('common.cancel')}</button>
+                </div>
+            ) : (
+                <div className="row">
+                    {r.status !== 'approved' && <button className="button" disabled={busy} onClick={() => setStatus('approved')}>{t('admin.reviews.approve')}</button>}
+                    {r.status !== 'hidden' && <button className="button ghost" disabled={busy} onClick={() => setStatus('hidden')}>{t('admin.reviews.hide')}</button>}
+                    <button className="button ghost" onClick={() => setReply(r.reply?.body || '')}>{r.reply ? t('admin.reviews.editReply') : t('admin.reviews.reply')}</button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// moderation queue: new reviews land in "pending"; approving or hiding one changes the product's rating
+function AdminReviews() {
+    const { t } = useI18n();
+    const [status, setStatus] = useState('pending');
+    const reviews = useQuery('admin:reviews?status=' + status, signal => api.get('/api/admin/reviews', { params: { status }, signal }).then(r => r.data));
+    const changed = (r) => { invalidateQueries('admin:reviews'); invalidateQueries('reviews:' + r.productId + ':'); invalidateCatalog(); };
+
+    return (
+        <div className="container">
+            <h2>{t('nav.admin')}</h2>
+            <AdminNav />
+            <div className="row" style={{ marginBottom: 12 }}>
+                {REVIEW_STATUSES.map(s => <button key={s} className={s === status ? 'button' : 'button ghost'} onClick={() => setStatus(s)}>{t('admin.reviews.tab.' + s)}</button>)}
+            </div>
+            {reviews.loading ? <p>{t('common.loading')}</p> : reviews.error ? <QueryError error={reviews.error} onRetry={reviews.refetch}>{t('admin.reviews.loadError')}</QueryError> : (
+                reviews.data.length === 0 ? <p style={{ color: 'var(--muted)' }}>{t('admin.reviews.none.' + status)}</p> : reviews.data.map(r => <AdminReviewRow key={r.id} review={r} onChanged={changed} />)
+            )}
+        </div>
+    );
+}
+
+/* ----------------- Admin Coupons ----------------- */
+const emptyCoupon = { code: '', type: 'percent', value: '', expiresAt: '', usageLimit: '', productIds: [] };
+
+// an unchanged expiry date is not re-checked, so a coupon that has already expired can still be edited
+function validateCoupon(form, initial, t) {
+    const errors = {};
+    if (!/^[A-Z0-9_-]{3,32}$/.test(form.code)) errors.code = t('admin.coupons.codeInvalid');
+    if (!/^\d+$/.test(String(form.value)) || Number(form.value) < 1) errors.value = t('admin.coupons.valueInvalid');
+    else if (form.type === 'percent' && Number(form.value) > 100) errors.value = t('admin.coupons.percentHigh');
+    if (form.usageLimit !== '' && !/^\d+$/.test(String(form.usageLimit))) errors.usageLimit = t('admin.coupons.limitInvalid');
+    if (form.expiresAt && form.expiresAt !== initial.expiresAt && new Date(form.expiresAt) < new Date(isoDate(new Date()))) errors.expiresAt = t('admin.coupons.expired');
+    return errors;
+}
+
+function CouponForm({ initial, products, onSubmit, onCancel }) {
+    const { t } = useI18n();
+    const [form, setForm] = useState(initial);
+    const [errors, setErrors] = useState({});
+    const set = (name, value) => { setForm({ ...form, [name]: value }); setErrors({ ...errors, [name]: undefined }); };
+
+    const submit = async (e) => {
+        e.preventDefault();
+        const errs = validateCoupon(form, initial, t);
+        setErrors(errs);
+        if (Object.keys(errs).length) return;
+        const result = await onSubmit({ ...form, value: Number(form.value), usageLimit: form.usageLimit === '' ? null : Number(form.usageLimit), expiresAt: form.expiresAt || null });
+        if (result && result !== true) setErrors(result);
+    };
+
+    return (
+        <form className="card" onSubmit={submit} noValidate>
+            <input className="input" placeholder={t('admin.coupons.code')} value={form.code} onChange={e => set('code', e.target.value.toUpperCase())} />
+            {errors.code && <div className="field-error">{errors.code}</div>}
+            <div className="row">
+                <select className="input" style={{ width: 160 }} value={form.type} onChange={e => set('type', e.target.value)}>
+                    <option value="percent">{t('admin.coupons.percent')}</option>
+                    <option value="fixed">{t('admin.coupons.fixed')}</option>
+                </select>
+                <input className="input" inputMode="numeric" placeholder={form.type === 'percent' ? t('admin.coupons.percentValue') : t('admin.coupons.fixedValue')} value={form.value} onChange={e => set('value', e.target.value)} />
+            </div>
+            {errors.value && <div className="field-error">{errors.value}</div>}
+            <label style={{ fontSize: 13, color: 'var(--muted)' }}>{t('admin.coupons.expires')}</label>
+            <input className="input" type="date" value={form.expiresAt ? form.expiresAt.slice(0, 10) : ''} onChange={e => set('expiresAt', e.target.value)} />
+            {errors.expiresAt && <div className="field-error">{errors.expiresAt}</div>}
+            <input className="input" inputMode="numeric" placeholder={t('admin.coupons.limit')} value={form.usageLimit ?? ''} onChange={e => set('usageLimit', e.target.value)} />
+            {errors.usageLimit && <div className="field-error">{errors.usageLimit}</div>}
+            <label style={{ fontSize: 13, color: 'var(--muted)' }}>{t('admin.coupons.products')}</label>
+            <select className="input" multiple size={Math.min(6, Math.max(2, products.length))} value={form.productIds.map(String)}
+                onChange={e => set('productIds', Array.from(e.target.selectedOptions, o => products.find(p => String(p.id) === o.value).id))}>
+                {products.map(p => <option key={p.id} value={String(p.id)}>{p.title}</option>)}
+            </select>
+            <div style={{ marginTop: 8 }}>
+                <button className="button" type="submit">{onCancel ? t('admin.save') : t('admin.coupons.create')}</button>
+                {onCancel && <button type="button" className="button ghost" style={{ marginInlineStart: 8 }} onClick={onCancel}>{t('common.cancel')}</button>}
+            </div>
+        </form>
+    );
+}
+
+function AdminCoupons() {
+    const notify = useNotify();
+    const { t } = useI18n();
+    const coupons = useQuery('admin:coupons', signal => api.get('/api/admin/coupons', { signal }).then(r => r.data));
+    const products = useAdminProducts().data || [];
+    const [editing, setEditing] = useState(null);
+    const [created, setCreated] = useState(0);
+
+    const load = () => invalidateQueries('admin:coupons');
+
+    const save = async (payload) => {
+        const res = await (editing ? api.put(`/api/admin/coupons/${editing.id}`, payload) : api.post('/api/admin/coupons', payload)).catch(e => e.response);
+        if (res?.data?.id) { if (!editing) setCreated(n => n + 1); setEditing(null); load(); notify.success(t('admin.coupons.saved', { code: res.data.code })); return true; }
+        notify.error(res?.data?.error || t('admin.coupons.saveFailed'));
+        return res?.data?.errors || false;
+    };
+    const remove = async (c) => {
+        if (!window.confirm(t('admin.coupons.confirmDelete', { code: c.code }))) return;
+        const res = await api.delete(`/api/admin/coupons/${c.id}`).catch(e => e.response);
+        if (res?.status >= 200 && res.status < 300) { load(); notify.success(t('admin.coupons.deleted', { code: c.code })); }
+        else notify.error(res?.data?.error || t('admin.deleteFailed'));
+    };
+    const scope = (c) => c.productIds?.length ? c.productIds.map(id => products.find(p => p.id === id)?.title || '#' + id).join(', ') : t('admin.coupons.allProducts');
+
+    return (
+        <div className="container">
+            <h2>{t('nav.admin')}</h2>
+            <AdminNav />
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 360px', gap: 16 }}>
+                <div>
+                    <h3>{t('admin.tab.coupons')}</h3>
+                    {coupons.loading ? <p>{t('common.loading')}</p> : coupons.error ? <QueryError error={coupons.error} onRetry={coupons.refetch}>{t('admin.coupons.loadError')}</QueryError> : coupons.data.length === 0 ? <p style={{ color: 'var(--muted)' }}>{t('admin.coupons.none')}</p> : (
+                        <table className="table card">
+                            <thead><tr><th>{t('admin.col.code')}</th><th>{t('admin.col.discount')}</th><th>{t('admin.col.appliesTo')}</th><th>{t('admin.col.used')}</th><th>{t('admin.col.expires')}</th><th></th></tr></thead>
+                            <tbody>
+                                {coupons.data.map(c => (
+                                    <tr key={c.id}>
+                                        <td><code>{c.code}</code></td>
+                                        <td>{c.type === 'percent' ? c.value + '%' : formatMoney(c.value)}</td>
+                                        <td>{scope(c)}</td>
+                                        <td>{c.usedCount || 0}{c.usageLimit != null ? ' / ' + c.usageLimit : ''}</td>
+                                        <td>{c.expiresAt ? new Date(c.expiresAt).toLocaleDateString() : '—'}</td>
+                                        <td>
+                                            <span className="row" style={{ gap: 4 }}>
+                                                <button className="button ghost" style={{ padding: '2px 8px' }} onClick={() => setEditing(c)}>{t('admin.edit')}</button>
+                                                <button className="button ghost" style={{ padding: '2px 8px' }} onClick={() => remove(c)}>{t('admin.delete')}</button>
+                                            </span>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+                <aside>
+                    <h3>{editing ? t('admin.editing', { name: editing.code }) : t('admin.coupons.new')}</h3>
+                    {/* keyed so switching coupons, or creating one, starts from a fresh form */}
+                    <CouponForm key={editing ? 'edit-' + editing.id : 'new-' + created}
+                        initial={editing ? { ...emptyCoupon, ...editing, value: String(editing.value), usageLimit: editing.usageLimit ?? '', productIds: editing.productIds || [] } : emptyCoupon}
+                        products={products} onSubmit={save} onCancel={editing ? () => setEditing(null) : null} />
+                </aside>
+            </div>
+        </div>
+    );
+}
+
+/* ----------------- Admin Bundles ----------------- */
+// a bundle is a product with `type: 'bundle'` and `bundleItemIds`; buying it grants every included product's files
+const emptyBundle = { title: '', description: '', coverImageUrl: '', price: '', status: 'draft', bundleItemIds: [] };
+const bundleWorth = (ids, products) => ids.reduce((s, id) => s + (products.find(p => p.id === id)?.price || 0), 0);
+
+function validateBundle(form, products, t) {
+    const errors = {};
+    if (!form.title.trim()) errors.title = t('admin.product.titleRequired');
+    if (form.bundleItemIds.length < 2) errors.bundleItemIds = t('admin.bundles.pickTwo');
+    const worth = bundleWorth(form.bundleItemIds, products);
+    if (!/^\d+$/.test(String(form.price).trim())) errors.price = t('admin.bundles.priceInvalid');
+    else if (!errors.bundleItemIds && Number(form.price) >= worth) errors.price = t('admin.bundles.tooExpensive', { worth: formatMoney(worth) });
+    if (form.coverImageUrl && !/^https?:\/\/\S+$/.test(form.coverImageUrl)) errors.coverImageUrl = t('admin.coverInvalid');
+    return errors;
+}
+
+function BundleForm({ initial, products, onSubmit, onCancel }) {
+    const { t } = useI18n();
+    const [form, setForm] = useState(initial);
+    const [errors, setErrors] = useState({});
+    const set = (name, value) => { setForm({ ...form, [name]: value }); setErrors({ ...errors, [name]: undefined }); };
+    const toggle = (id) => set('bundleItemIds', form.bundleItemIds.includes(id) ? form.bundleItemIds.filter(i => i !== id) : [...form.bundleItemIds, id]);
+    const worth = bundleWorth(form.bundleItemIds, products);
+
+    const submit = async (e) => {
+        e.preventDefault();
+        const errs = validateBundle(form, products, t);
+        setErrors(errs);
+        if (Object.keys(errs).length) return;
+        const result = await onSubmit({ ...form, title: form.title.trim(), price: Number(form.price), type: 'bundle' });
+        if (result && result !== true) setErrors(result);
+    };
+
+    return (
+        <form className="card" onSubmit={submit} noValidate>
+            <input className="input" placeholder={t('admin.product.title')} value={form.title} onChange={e => set('title', e.target.value)} />
+            {errors.title && <div className="field-error">{errors.title}</div>}
+            <textarea className="input" placeholder={t('admin.product.description')} value={form.description} onChange={e => set('description', e.target.value)} />
+            <input className="input" placeholder={t('admin.coverUrl')} value={form.coverImageUrl} onChange={e => set('coverImageUrl', e.target.value)} />
+            {errors.coverImageUrl && <div className="field-error">{errors.coverImageUrl}</div>}
+            <label style={{ fontSize: 13, color: 'var(--muted)' }}>{t('admin.bundles.included')}</label>
+            <div style={{ maxHeight: 200, overflowY: 'auto', border: '1px solid #e6e6ee', borderRadius: 8, padding: 6 }}>
+                {products.map(p => (
+                    <label key={p.id} className="row" style={{ fontSize: 14 }}>
+                        <input type="checkbox" checked={form.bundleItemIds.includes(p.id)} onChange={() => toggle(p.id)} /> {p.title} <span style={{ color: 'var(--muted)' }}>{formatPrice(p)}</span>
+                    </label>
+                ))}
+            </div>
+            {errors.bundleItemIds && <div className="field-error">{errors.bundleItemIds}</div>}
+            <input className="input" placeholder={t('admin.bundles.price')} inputMode="numeric" value={form.price} onChange={e => set('price', e.target.value)} />
+            {errors.price ? <div className="field-error">{errors.price}</div> : worth > 0 && (
+                <div style={{ color: 'var(--muted)', fontSize: 13 }}>
+                    {t('admin.bundles.separately', { worth: formatMoney(worth) })}{/^\d+$/.test(String(form.price)) && Number(form.price) < worth && ' · ' + t('admin.bundles.saving', { percent: Math.round((1 - Number(form.price) / worth) * 100) })}
+                </div>
+            )}
+            <label className="row" style={{ marginTop: 8 }}>
+                <input type="checkbox" checked={form.status === 'published'} onChange={e => set('status', e.target.checked ? 'published' : 'draft')} /> {t('admin.published')}
+            </label>
+            <div style={{ marginTop: 8 }}>
+                <button className="button" type="submit">{onCancel ? t('admin.save') : t('admin.bundles.create')}</button>
+                {onCancel && <button type="button" className="button ghost" style={{ marginInlineStart: 8 }} onClick={onCancel}>{t('common.cancel')}</button>}
+            </div>
+        </form>
+    );
+}
+
+// rendered inside AdminPage under the product list; bundles are products too, so they share its products query
+function AdminBundles() {
+    const notify = useNotify();
+    const { t } = useI18n();
+    const all = useAdminProducts();
+    const bundles = (all.data || []).filter(p => p.type === 'bundle');
+    const products = (all.data || []).filter(p => p.type !== 'bundle');
+    const [editing, setEditing] = useState(null);
+    const [created, setCreated] = useState(0);
+
+    const save = async (payload) => {
+        const res = await (editing ? api.put(`/api/admin/products/${editing.id}`, payload) : api.post('/api/admin/products', payload)).catch(e => e.response);
+        if (res?.data?.id) { if (!editing) setCreated(n => n + 1); setEditing(null); invalidateCatalog(); notify.success(t('admin.bundles.saved', { title: res.data.title })); return true; }
+        notify.error(res?.data?.error || t('admin.bundles.saveFailed'));
+        return res?.data?.errors || false;
+    };
+    const remove = async (b) => {
+        if (!window.confirm(t('admin.bundles.confirmDelete', { title: b.title }))) return;
+        const res = await api.delete(`/api/admin/products/${b.id}`).catch(e => e.response);
+        if (res?.status >= 200 && res.status < 300) { invalidateCatalog(); notify.success(t('admin.bundles.deleted', { title: b.title })); }
+        else notify.error(res?.data?.error || t('admin.deleteFailed'));
+    };
+
+    return (
+        <section style={{ marginTop: 16 }}>
+            <h3>{t('admin.bundles.title')}</h3>
+            {all.loading ? <p>{t('common.loading')}</p> : all.error ? <QueryError error={all.error} onRetry={all.refetch}>{t('admin.product.loadError')}</QueryError> : bundles.length === 0 ? <p style={{ color: 'var(--muted)' }}>{t('admin.bundles.none')}</p> : (
+                <table className="table card">
+                    <thead><tr><th>{t('admin.col.bundle')}</th><th>{t('admin.tab.products')}</th><th>{t('admin.col.price')}</th><th>{t('admin.col.separately')}</th><th>{t('admin.col.status')}</th><th></th></tr></thead>
+                    <tbody>
+                        {bundles.map(b => (
+                            <tr key={b.id}>
+                                <td><Link to={`/product/${b.id}`}>{b.title}</Link></td>
+                                <td>{b.bundleItemIds.map(id => products.find(p => p.id === id)?.title || '#' + id).join(', ')}</td>
+                                <td>{formatPrice(b.price)}</td>
+                                <td>{formatMoney(bundleWorth(b.bundleItemIds, products))}</td>
+                                <td><span className="badge">{b.status === 'published' ? t('admin.published') : t('admin.draft')}</span></td>
+                                <td>
+                                    <span className="row" style={{ gap: 4 }}>
+                                        <button className="button ghost" style={{ padding: '2px 8px' }} onClick={() => setEditing(b)}>{t('admin.edit')}</button>
+                                        <button className="button ghost" style={{ padding: '2px 8px' }} onClick={() => remove(b)}>{t('admin.delete')}</button>
+                                    </span>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <h4 style={{ marginTop: 12 }}>{editing ? t('admin.editing', { name: editing.title }) : t('admin.bundles.new')}</h4>
+            <BundleForm key={editing ? 'edit-' + editing.id : 'new-' + created}
+                initial={editing ? { ...emptyBundle, ...editing, price: String(editing.price), bundleItemIds: editing.bundleItemIds || [] } : emptyBundle}
+                products={products} onSubmit={save} onCancel={editing ? () => setEditing(null) : null} />
+        </section>
+    );
+}
+
+/* ----------------- Checkout ----------------- */
+function Checkout() {
+    const { items, coupon } = useCart();
+    const auth = useAuth();
+    const notify = useNotify();
+    const { t, money, amountOf, currency } = useI18n();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [busy, setBusy] = useState(false);
+
+    const doCheckout = async () => {
+        if (!auth.token) return notify.info(t('checkout.loginFirst'), { action: { label: t('nav.login'), onClick: () => navigate('/auth', { state: { from: location } }) } });
+        if (!items.length) return notify.info(t('cart.empty'));
+        const retry = { label: t('common.retry'), onClick: doCheckout };
+        setBusy(true);
+        try {
+            const { order, paymentUrl } = await placeOrder(items, coupon?.code, currency);
+            if (order?.id) {
+                localStorage.setItem('pendingOrder', String(order.id));
+                return startPayment(order, paymentUrl, navigate);
+            }
+            notify.error(t('checkout.failed'), { action: retry });
+        } catch (e) { notify.error(e.response?.data?.error || t('checkout.error'), { action: retry }); }
+        setBusy(false);
+    };
+
+    return (
+        <div className="container">
+            <h2>{t('checkout.title')}</h2>
+            <div className="card" style={{ maxWidth: 520 }}>
+                {items.map(it => (
+                    <div key={it.id} className="row" style={{ justifyContent: 'space-between', padding: '4px 0' }}>
+                        <div>{it.title} <span style={{ color: 'var(--muted)' }}>x {it.qty}</span></div>
+                        <div>{amountOf(it) === 0 ? t('price.free') : money(amountOf(it) * it.qty)}</div>
+                    </div>
+                ))}
+                <div style={{ borderTop: '1px solid #edf0f7', marginTop: 8, paddingTop: 8 }}><CartSummary /></div>
+            </div>
+            <div style={{ marginTop: 12 }}><CouponInput /></div>
+            <div style={{ marginTop: 12 }}>
+                <button className="button" onClick={doCheckout} disabled={busy}>{busy ? t('checkout.redirecting') : t('checkout.pay')}</button>
+                <button className="button ghost" style={{ marginInlineStart: 8 }} onClick={() => navigate('/cart')}>{t('checkout.backToCart')}</button>
+            </div>
+        </div>
+    );
+}
+
+/* ----------------- Order Confirmation / payment status ----------------- */
+const POLL_MS = 2000;
+const POLL_LIMIT = 60; // ~2 minutes, then ask the buyer to come back later
+
+function OrderConfirmation() {
+    const { id } = useParams();
+    const location = useLocation();
+    const navigate = useNavigate();
+    const notify = useNotify();
+    const { t } = useI18n();
+    const cart = useCart();
+    const library = useLibrary();
+    // the checkout hands the fresh order over in router state; on reload (or back from the provider) fetch it again
+    const [order, setOrder] = useState(location.state?.order || null);
+    const [loading, setLoading] = useState(!order);
+    const [polls, setPolls] = useState(0);
+    const [retrying, setRetrying] = useState(false);
+
+    useEffect(() => {
+        if (order && String(order.id) === id) return;
+        setLoading(true);
+        api.get('/api/orders/' + id).then(r => setOrder(r.data)).catch(() => setOrder(null)).finally(() => setLoading(false));
+    }, [id]);
+
+    // the provider confirms payment asynchronously (webhook), so poll while the order is pending
+    useEffect(() => {
+        if (order?.status !== 'pending' || polls >= POLL_LIMIT) return;
+        const t = setTimeout(() => api.get('/api/orders/' + id).then(r => setOrder(r.data)).catch(() => { }).finally(() => setPolls(n => n + 1)), POLL_MS);
+        return () => clearTimeout(t);
+    }, [order, polls, id]);
+
+    useEffect(() => {
+        if (order?.status !== 'paid') return;
+        library.refresh();
+        // the cart is only emptied once the order it produced is actually paid
+        if (localStorage.getItem('pendingOrder') === String(order.id)) { localStorage.removeItem('pendingOrder'); cart.clear(); }
+    }, [order?.status]);
+
+    const retry = async () => {
+        setRetrying(true);
+        try {
+            const res = await api.post(`/api/orders/${order.id}/pay`);
+            startPayment(res.data?.order || order, res.data?.paymentUrl, navigate);
+        } catch (e) { notify.error(e.response?.data?.error || t('payment.restartFailed')); }
+        setRetrying(false);
+    };
+
+    if (loading) return <div className="container">{t('common.loading')}</div>;
+    if (!order) return <div className="container">{t('order.notFound')}</div>;
+
+    if (order.status === 'pending') {
+        return (
+            <div className="container">
+                <h2>{t('order.waiting')}</h2>
+                {polls < POLL_LIMIT
+                    ? <p style={{ color: 'var(--muted)' }}>{t('order.confirming', { id: order.id })}</p>
+                    : <p style={{ color: 'var(--muted)' }}>{t('order.stillProcessing', { id: order.id })} <Link to="/library">{t('nav.library')}</Link></p>}
+                <button className="button ghost" onClick={retry} disabled={retrying}>{t('order.openPayment')}</button>
+            </div>
+        );
+    }
+    if (order.status === 'failed' || order.status === 'cancelled') {
+        return (
+            <div className="container">
+                <h2>{order.status === 'failed' ? t('payment.failed') : t('payment.cancelled')}</h2>
+                <p style={{ color: 'var(--muted)' }}>{order.failureReason ? t('order.notPaidReason', { id: order.id, reason: order.failureReason }) : t('order.notPaid', { id: order.id })} {t('order.notCharged')}</p>
+                <button className="button" onClick={retry} disabled={retrying}>{retrying ? t('payment.redirecting') : t('payment.retry')}</button>
+                <Link to="/cart"><button className="button ghost" style={{ marginInlineStart: 8 }}>{t('checkout.backToCart')}</button></Link>
+            </div>
+        );
+    }
+
+    return (
+        <div className="container">
+            <h2>{t('order.thanks')}</h2>
+            <p style={{ color: 'var(--muted)' }}>{t('order.ready', { id: order.id })}</p>
+            <div className="card" style={{ maxWidth: 620 }}>
+                {order.items.map(it => (
+                    <div key={it.productId} className="row" style={{ justifyContent: 'space-between', padding: '6px 0' }}>
+                        <div>
+                            <div style={{ fontWeight: 700 }}>{it.title}</div>
+                            {it.licenseKey && <div style={{ marginTop: 4 }}><LicenseKey value={it.licenseKey} /></div>}
+                        </div>
+                        {it.downloadUrl ? <a href={it.downloadUrl}><button className="button">{t('common.download')}</button></a> : <span className="badge">{t('order.noFile')}</span>}
+                    </div>
+                ))}
+            </div>
+            <div style={{ marginTop: 12 }}><Link to="/products"><button className="button ghost">{t('order.continue')}</button></Link></div>
+        </div>
+    );
+}
+
+function NotFound() {
+    const { t } = useI18n();
+    return <div className="container">{t('common.notFound')}</div>;
+}
+
+function Footer() {
+    const { t } = useI18n();
+    return <footer className="footer">{t('footer.copyright', { year: new Date().getFullYear() })}</footer>;
+}
+
 /* ----------------- App Root ----------------- */
 export default function App() {
     // inject styles
@@ -403,23 +3114,44 @@ export default function App() {
     }, []);
 
     return (
-        <AuthProvider>
-            <CartProvider>
-                <Router>
-                    <Header />
-                    <Routes>
-                        <Route path="/" element={<Home />} />
-                        <Route path="/products" element={<Products />} />
-                        <Route path="/product/:id" element={<ProductDetail />} />
-                        <Route path="/cart" element={<CartPage />} />
-                        <Route path="/checkout" element={<Checkout />} />
-                        <Route path="/auth" element={<AuthPage />} />
-                        <Route path="/admin" element={<AdminPage />} />
-                        <Route path="*" element={<div className="container">Not found.</div>} />
-                    </Routes>
-                    <footer className="footer">&copy; {new Date().getFullYear()} Digital Products Store</footer>
-                </Router>
-            </CartProvider>
-        </AuthProvider>
+        <LocaleProvider>
+            <NotificationProvider>
+                <AuthProvider>
+                    <CartProvider>
+                        <LibraryProvider>
+                            <Router>
+                                <Header />
+                                <SessionNotice />
+                                <VerifyEmailNotice />
+                                <Routes>
+                                    <Route path="/" element={<Home />} />
+                                    <Route path="/products" element={<Products />} />
+                                    <Route path="/product/:id" element={<ProductDetail />} />
+                                    <Route path="/cart" element={<CartPage />} />
+                                    <Route path="/checkout" element={<Checkout />} />
+                                    <Route path="/checkout/success" element={<CheckoutReturn />} />
+                                    <Route path="/checkout/cancel" element={<CheckoutReturn cancelled />} />
+                                    <Route path="/order/:id" element={<RequireAuth><OrderConfirmation /></RequireAuth>} />
+                                    <Route path="/library" element={<RequireAuth><LibraryPage /></RequireAuth>} />
+                                    <Route path="/auth" element={<AuthPage />} />
+                                    <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+                                    <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+                                    <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+                                    <Route path="/account" element={<RequireAuth><AccountPage /></RequireAuth>} />
+                                    {import.meta.env.DEV && <Route path="/dev/outbox" element={<DevOutbox />} />}
+                                    <Route path="/admin" element={<RequireAuth role="admin"><AdminPage /></RequireAuth>} />
+                                    <Route path="/admin/analytics" element={<RequireAuth role="admin"><AdminAnalytics /></RequireAuth>} />
+                                    <Route path="/admin/licenses" element={<RequireAuth role="admin"><AdminLicenses /></RequireAuth>} />
+                                    <Route path="/admin/coupons" element={<RequireAuth role="admin"><AdminCoupons /></RequireAuth>} />
+                                    <Route path="/admin/reviews" element={<RequireAuth role="admin"><AdminReviews /></RequireAuth>} />
+                                    <Route path="*" element={<NotFound />} />
+                                </Routes>
+                                <Footer />
+                            </Router>
+                        </LibraryProvider>
+                    </CartProvider>
+                </AuthProvider>
+            </NotificationProvider>
+        </LocaleProvider>
     );
 }
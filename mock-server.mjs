@@ -0,0 +1,322 @@
+/*
+Local mock of the backend endpoints the frontend needs for manual testing, with no dependencies:
+
+    node mock-server.mjs            (listens on http://localhost:4000, PORT=... to change)
+
+Point the Vite dev server at it for the routes it serves, e.g. in vite.config.js:
+    server: { proxy: Object.fromEntries(['/api/auth', '/api/me', '/api/dev', '/api/licenses', '/api/checkout', '/api/orders']
+        .map(path => [path, 'http://localhost:4000'])) }
+The hosted payment page is opened on the mock's own origin; it and the links in the mailed messages lead back to
+FRONTEND_URL (default http://localhost:5173).
+
+Tokens are not verified: the JWT payload (sub, email, role) is only decoded, so a login against the real backend works
+for the license and order routes too. Accounts registered here only exist here, so proxy /api/auth and /api/me together.
+An admin is seeded as admin@example.com / admin123. Data lives in memory and resets on restart.
+
+Served:
+- POST /api/auth/register|login|refresh, GET /api/me
+- POST /api/auth/forgot-password, /api/auth/reset-password, /api/auth/verify-email, /api/auth/resend-verification:
+  the verification and reset links are "mailed" to the outbox instead of sent
+- GET/DELETE /api/dev/outbox: that mail, newest first (the app shows it at /dev/outbox)
+- GET /api/licenses (own; admins pass ?all=1&q=), PUT /api/licenses/:id, POST /api/licenses/:id/revoke|reissue,
+  DELETE /api/licenses/:id/activations/:activationId
+- POST /api/licenses/activate { key, device } (what the licensed product itself would call, to create activations)
+- POST /api/checkout, GET /api/orders/:id, POST /api/orders/:id/pay, POST /api/orders/:id/cancel
+- GET /mock-pay/:sessionId: the provider-hosted page with Pay / Decline / Cancel buttons. Paying leaves the order
+  pending for a few seconds (like a webhook arriving late) so the confirmation page's polling gets exercised
+*/
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 4000;
+const ORIGIN = `http://localhost:${PORT}`;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const WEBHOOK_DELAY_MS = 4000;
+const MOCK_UNIT_PRICE = 500; // the mock has no catalog: every line costs this per unit unless it carries an amount
+
+/* ----------------- helpers ----------------- */
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+function readBody(req) {
+    return new Promise(resolve => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => { try { resolve(raw ? JSON.parse(raw) : {}); } catch (e) { resolve({}); } });
+    });
+}
+// same unverified decoding as decodeToken() in app.jsx
+function userFrom(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    try { return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString()); } catch (e) { return null; }
+}
+const newId = () => crypto.randomUUID();
+const newKey = () => Array.from({ length: 4 }, () => crypto.randomBytes(2).toString('hex').toUpperCase()).join('-');
+
+/* ----------------- accounts & mail outbox ----------------- */
+const users = [];
+const outbox = [];
+const refreshTokens = new Map(); // refreshToken -> userId
+const verifyTokens = new Map(); // token -> userId
+const resetTokens = new Map(); // token -> { userId, expires }
+const ACCESS_TTL_S = 15 * 60;
+const RESET_TTL_MS = 60 * 60000;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashPassword = (password, salt = crypto.randomBytes(8).toString('hex')) => salt + ':' + crypto.scryptSync(String(password), salt, 32).toString('hex');
+const checkPassword = (password, stored) => hashPassword(password, stored.split(':')[0]) === stored;
+// same rules as passwordStrength() in app.jsx
+const passwordProblem = (pw) => typeof pw !== 'string' || pw.length < 8 || !/[A-Za-z]/.test(pw) || !/\d/.test(pw) ? 'Use at least 8 characters with letters and digits' : null;
+const profile = (u) => ({ id: u.id, email: u.email, role: u.role, emailVerified: u.emailVerified });
+const base64url = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+users.push({ id: newId(), email: 'admin@example.com', password: hashPassword('admin123'), role: 'admin', emailVerified: true });
+
+// an unsigned JWT: the app and this mock only ever decode it
+function issueSession(user) {
+    const claims = { sub: user.id, email: user.email, role: user.role, exp: Math.floor(Date.now() / 1000) + ACCESS_TTL_S };
+    const refreshToken = newId();
+    refreshTokens.set(refreshToken, user.id);
+    return { token: `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(claims)}.mock`, refreshToken };
+}
+function sendMail(to, subject, text) {
+    outbox.unshift({ id: newId(), to, subject, text, sentAt: new Date().toISOString() });
+}
+function sendVerification(user) {
+    const token = newId();
+    verifyTokens.set(token, user.id);
+    sendMail(user.email, 'Confirm your email address', `Open this link to confirm ${user.email}:\n${FRONTEND_URL}/verify-email/${token}`);
+}
+
+async function authRoutes(req, res, path) {
+    if (path === '/api/dev/outbox') {
+        if (req.method === 'GET') return send(res, 200, outbox);
+        if (req.method === 'DELETE') { outbox.length = 0; return send(res, 204); }
+        return send(res, 405, { error: 'Method not allowed' });
+    }
+    const claims = userFrom(req);
+    if (req.method === 'GET' && path === '/api/me') {
+        if (!claims) return send(res, 401, { error: 'Login required' });
+        // a token from the real backend has no account here: answer with what it claims
+        const user = users.find(u => u.id === claims.sub);
+        return send(res, 200, user ? profile(user) : { id: claims.sub, email: claims.email, role: claims.role, emailVerified: true });
+    }
+    if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+    const body = await readBody(req);
+    const email = String(body.email || '').trim().toLowerCase();
+
+    if (path === '/api/auth/register') {
+        const errors = {};
+        if (!EMAIL_RE.test(email)) errors.email = 'Enter a valid email address';
+        else if (users.some(u => u.email === email)) errors.email = 'An account with this email already exists';
+        if (passwordProblem(body.password)) errors.password = passwordProblem(body.password);
+        if (Object.keys(errors).length) return send(res, 400, { error: 'Please fix the highlighted fields', errors });
+        const user = { id: newId(), email, password: hashPassword(body.password), role: 'customer', emailVerified: false };
+        users.push(user);
+        sendVerification(user);
+        return send(res, 200, issueSession(user));
+    }
+    if (path === '/api/auth/login') {
+        const user = users.find(u => u.email === email);
+        if (!user || !checkPassword(body.password || '', user.password)) return send(res, 401, { error: 'Wrong email or password' });
+        return send(res, 200, issueSession(user));
+    }
+    if (path === '/api/auth/refresh') {
+        const user = users.find(u => u.id === refreshTokens.get(body.refreshToken));
+        if (!user) return send(res, 401, { error: 'Session expired' });
+        refreshTokens.delete(body.refreshToken);
+        return send(res, 200, issueSession(user));
+    }
+    if (path === '/api/auth/forgot-password') {
+        // same answer whether or not the address has an account
+        const user = users.find(u => u.email === email);
+        if (user) {
+            const token = newId();
+            resetTokens.set(token, { userId: user.id, expires: Date.now() + RESET_TTL_MS });
+            sendMail(user.email, 'Reset your password', `Open this link within an hour to choose a new password:\n${FRONTEND_URL}/reset-password/${token}`);
+        }
+        return send(res, 200, { ok: true });
+    }
+    if (path === '/api/auth/reset-password') {
+        const reset = resetTokens.get(body.token);
+        const user = reset && reset.expires > Date.now() && users.find(u => u.id === reset.userId);
+        if (!user) return send(res, 400, { error: 'This reset link is invalid or has expired' });
+        if (passwordProblem(body.password)) return send(res, 400, { error: passwordProblem(body.password), errors: { password: passwordProblem(body.password) } });
+        user.password = hashPassword(body.password);
+        resetTokens.delete(body.token);
+        return send(res, 200, { ok: true });
+    }
+    if (path === '/api/auth/verify-email') {
+        const user = users.find(u => u.id === verifyTokens.get(body.token));
+        if (!user) return send(res, 400, { error: 'This verification link is invalid or was already used' });
+        user.emailVerified = true;
+        verifyTokens.delete(body.token);
+        return send(res, 200, profile(user));
+    }
+    if (path === '/api/auth/resend-verification') {
+        const user = claims && users.find(u => u.id === claims.sub);
+        if (!user) return send(res, 401, { error: 'Login required' });
+        if (user.emailVerified) return send(res, 409, { error: 'Your email address is already confirmed' });
+        sendVerification(user);
+        return send(res, 200, { ok: true });
+    }
+    return send(res, 404, { error: 'Not served by the mock' });
+}
+
+/* ----------------- licenses ----------------- */
+const licenses = [];
+
+// every user gets two sample licenses the first time they ask, so the screens have something to show
+function seedLicenses(user) {
+    if (licenses.some(l => l.ownerId === String(user.sub))) return;
+    ['Sample Plugin', 'Sample Font Pack'].forEach((productTitle, i) => licenses.push({
+        id: newId(), key: newKey(), productId: 'sample-' + (i + 1), productTitle, ownerId: String(user.sub), email: user.email,
+        status: 'active', maxActivations: 3,
+        activations: i === 0 ? [{ id: newId(), device: 'Laptop (mock)', activatedAt: new Date().toISOString() }] : []
+    }));
+}
+
+async function licenseRoutes(req, res, path, user) {
+    const isAdmin = user.role === 'admin';
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'POST' && path === '/api/licenses/activate') {
+        const { key, device } = await readBody(req);
+        const license = licenses.find(l => l.key === key);
+        if (!license || license.status === 'revoked') return send(res, 404, { error: 'Unknown or revoked license key' });
+        if (license.activations.length >= license.maxActivations) return send(res, 409, { error: 'Activation limit reached' });
+        license.activations.push({ id: newId(), device: device || 'Unnamed device', activatedAt: new Date().toISOString() });
+        return send(res, 200, license);
+    }
+
+    if (req.method === 'GET' && path === '/api/licenses') {
+        seedLicenses(user);
+        if (url.searchParams.get('all') === '1') {
+            if (!isAdmin) return send(res, 403, { error: 'Admins only' });
+            const q = (url.searchParams.get('q') || '').toLowerCase();
+            return send(res, 200, licenses.filter(l => !q || [l.key, l.email, l.productTitle].some(v => String(v).toLowerCase().includes(q))));
+        }
+        return send(res, 200, licenses.filter(l => l.ownerId === String(user.sub)));
+    }
+
+    const match = path.match(/^\/api\/licenses\/([^/]+)(?:\/(revoke|reissue)|\/activations\/([^/]+))?$/);
+    const license = match && licenses.find(l => l.id === match[1]);
+    if (!license) return send(res, 404, { error: 'License not found' });
+    if (!isAdmin && license.ownerId !== String(user.sub)) return send(res, 403, { error: 'Not your license' });
+
+    if (req.method === 'DELETE' && match[3]) {
+        license.activations = license.activations.filter(a => a.id !== match[3]);
+        return send(res, 200, license);
+    }
+    if (!isAdmin) return send(res, 403, { error: 'Admins only' });
+    if (req.method === 'POST' && match[2] === 'revoke') { license.status = 'revoked'; license.activations = []; return send(res, 200, license); }
+    if (req.method === 'POST' && match[2] === 'reissue') { license.key = newKey(); license.status = 'active'; license.activations = []; return send(res, 200, license); }
+    if (req.method === 'PUT' && !match[2]) {
+        const { maxActivations } = await readBody(req);
+        if (!Number.isInteger(maxActivations) || maxActivations < 1) return send(res, 400, { error: 'maxActivations must be a whole number of at least 1' });
+        license.maxActivations = maxActivations;
+        return send(res, 200, license);
+    }
+    return send(res, 405, { error: 'Method not allowed' });
+}
+
+/* ----------------- orders & payment provider ----------------- */
+const orders = [];
+const sessions = new Map(); // sessionId -> orderId
+
+function newSession(order) {
+    const id = newId();
+    sessions.set(id, order.id);
+    return `${ORIGIN}/mock-pay/${id}`;
+}
+function markPaid(order) {
+    order.status = 'paid';
+    order.items.forEach(it => { it.downloadUrl = `${ORIGIN}/mock-download/${order.id}/${it.productId}`; });
+}
+
+async function orderRoutes(req, res, path, user) {
+    if (req.method === 'POST' && path === '/api/checkout') {
+        const { items = [], currency = 'USD' } = await readBody(req);
+        if (!items.length) return send(res, 400, { error: 'Cart is empty' });
+        const lines = items.map(it => ({ productId: it.productId, title: 'Product ' + it.productId, qty: it.qty || 1, price: it.amount ?? MOCK_UNIT_PRICE, downloadUrl: null }));
+        const order = {
+            id: String(orders.length + 1), ownerId: String(user.sub), status: 'pending', currency, createdAt: new Date().toISOString(),
+            items: lines, total: lines.reduce((s, it) => s + it.price * it.qty, 0)
+        };
+        orders.push(order);
+        if (order.total === 0) { markPaid(order); return send(res, 200, { order }); }
+        return send(res, 200, { order, paymentUrl: newSession(order) });
+    }
+
+    const match = path.match(/^\/api\/orders\/([^/]+)(?:\/(pay|cancel))?$/);
+    const order = match && orders.find(o => o.id === match[1] && o.ownerId === String(user.sub));
+    if (!order) return send(res, 404, { error: 'Order not found' });
+    if (req.method === 'GET' && !match[2]) return send(res, 200, order);
+    if (req.method === 'POST' && match[2] === 'pay') {
+        if (order.status === 'paid') return send(res, 409, { error: 'Order is already paid' });
+        order.status = 'pending';
+        order.failureReason = null;
+        return send(res, 200, { order, paymentUrl: newSession(order) });
+    }
+    if (req.method === 'POST' && match[2] === 'cancel') {
+        if (order.status === 'pending') order.status = 'cancelled';
+        return send(res, 200, order);
+    }
+    return send(res, 405, { error: 'Method not allowed' });
+}
+
+function paymentPage(res, sessionId, order) {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    const button = (result, label) => `<form method="post" action="/mock-pay/${sessionId}/${result}" style="display:inline"><button>${label}</button></form>`;
+    res.end(`<!doctype html><meta charset="utf-8"><title>Mock payment</title>
+<body style="font-family:system-ui;max-width:420px;margin:48px auto">
+<h2>Mock payment provider</h2>
+<p>Order #${order.id}: ${(order.total / 100).toFixed(2)} ${order.currency}</p>
+${button('pay', 'Pay')} ${button('decline', 'Decline card')} ${button('cancel', 'Cancel and go back')}
+</body>`);
+}
+
+function providerRoutes(req, res, path) {
+    const match = path.match(/^\/mock-pay\/([^/]+)(?:\/(pay|decline|cancel))?$/);
+    const order = match && orders.find(o => o.id === sessions.get(match[1]));
+    if (!order) return send(res, 404, { error: 'Unknown or used payment session' });
+    if (req.method === 'GET' && !match[2]) return paymentPage(res, match[1], order);
+    if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+    sessions.delete(match[1]);
+    let back = `${FRONTEND_URL}/checkout/success?orderId=${order.id}`;
+    if (match[2] === 'pay') setTimeout(() => { if (order.status === 'pending') markPaid(order); }, WEBHOOK_DELAY_MS);
+    if (match[2] === 'decline') { order.status = 'failed'; order.failureReason = 'Card declined (mock)'; }
+    if (match[2] === 'cancel') back = `${FRONTEND_URL}/checkout/cancel?orderId=${order.id}`;
+    res.writeHead(303, { Location: back });
+    res.end();
+}
+
+/* ----------------- server ----------------- */
+http.createServer(async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    try {
+        if (path.startsWith('/api/auth/') || path === '/api/me' || path === '/api/dev/outbox') return await authRoutes(req, res, path);
+        if (path.startsWith('/api/licenses')) {
+            const user = userFrom(req);
+            if (!user) return send(res, 401, { error: 'Login required' });
+            return await licenseRoutes(req, res, path, user);
+        }
+        if (path === '/api/checkout' || path.startsWith('/api/orders/')) {
+            const user = userFrom(req);
+            if (!user) return send(res, 401, { error: 'Login required' });
+            return await orderRoutes(req, res, path, user);
+        }
+        if (path.startsWith('/mock-pay/')) return providerRoutes(req, res, path);
+        if (path.startsWith('/mock-download/')) {
+            res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Disposition': 'attachment; filename="mock-download.txt"' });
+            return res.end('Mock download for ' + path + '\n');
+        }
+        send(res, 404, { error: 'Not served by the mock' });
+    } catch (e) {
+        console.error(e);
+        send(res, 500, { error: 'Mock server error' });
+    }
+}).listen(PORT, () => console.log(`mock backend on http://localhost:${PORT}`));